@@ -1,9 +1,10 @@
 /* Strategy Utils - On-chain price analysis for NFTStrategy™ tokens via GeckoTerminal
+   (or any provider from PROVIDER_KINDS: a GeckoTerminal-compatible mirror, local JSON fixtures)
    Flow:
-    1) Load token (with top pools) for {network}:{tokenAddress}
+    1) Load token (with top pools) for {network}:{tokenAddress} (network per strategy, see NETWORKS)
     2) Pick the most liquid pool
     3) Fetch OHLCV for timeframe/aggregate (USD; token side honored)
-    4) Optionally aggregate 1m -> 10m client-side
+    4) Resample client-side for steps without a native timeframe (10m, 2h, 3d, 1w, custom)
     Docs:
         - Root & rate limit: https://api.geckoterminal.com/api/v2 (≈30 req/min)
         - Token (+top pools): /networks/{network}/tokens/{address}?include=top_pools
@@ -12,73 +13,188 @@
 
 const API_ROOT = "https://api.geckoterminal.com/api/v2";
 
+// Step presets (seconds). Any step is resolved by resolveStep(): fetched at the
+// largest native timeframe that divides it, resampled client-side when needed.
 const STEP_MAP = {
-    "1m": { tf: "minute", agg: 1, sec: 60, client10m: false },
-    "5m": { tf: "minute", agg: 5, sec: 300, client10m: false },
-    "10m": { tf: "minute", agg: 1, sec: 600, client10m: true }, // build from 1m
-    "15m": { tf: "minute", agg: 15, sec: 900, client10m: false },
-    "1h": { tf: "hour", agg: 1, sec: 3600, client10m: false },
-    "4h": { tf: "hour", agg: 4, sec: 14400, client10m: false },
-    "12h": { tf: "hour", agg: 12, sec: 43200, client10m: false },
-    "1d": { tf: "day", agg: 1, sec: 86400, client10m: false },
+    "1m": { sec: 60 },
+    "5m": { sec: 300 },
+    "10m": { sec: 600 },      // built from 5m
+    "15m": { sec: 900 },
+    "1h": { sec: 3600 },
+    "2h": { sec: 7200 },      // built from 1h
+    "4h": { sec: 14400 },
+    "6h": { sec: 21600 },     // built from 1h
+    "12h": { sec: 43200 },
+    "1d": { sec: 86400 },
+    "3d": { sec: 259200 },    // built from 1d
+    "1w": { sec: 604800 },    // built from 1d (weeks start Thursday 00:00 UTC, epoch-aligned)
 };
 
-// Fixed network
-const FIXED_NETWORK = "eth";
-
-// Predefined Strategy -> contract mapping (Ethereum)
-const STRATEGIES = {
-    PunkStrategy: "0xc50673EDb3A7b94E8CAD8a7d4E0cD68864E33eDF",
-    BirbStrategy: "0x6bcba7cd81a5f12c10ca1bf9b36761cc382658e8",
-    DickStrategy: "0x8680acfacb3fed5408764343fc7e8358e8c85a4c",
-    ApeStrategy: "0x9ebf91b8d6ff68aa05545301a3d0984eaee54a03",
-    PudgyStrategy: "0xb3d6e9e142a785ea8a4f0050fee73bcc3438c5c5",
-    MeebitStrategy: "0xc9b2c00f31b210fcea1242d91307a5b1e3b2be68",
-    SquiggleStrategy: "0x742fd09cbbeb1ec4e3d6404dfc959a324deb50e6",
-    ToadzStrategy: "0x92cedfdbce6e87b595e4a529afa2905480368af4",
-    GobStrategy: "0x5d855d8a3090243fed9bf73999eedfbc2d1dcf21",
-    PainStrategy: "0xdfc3af477979912ec90b138d3e5552d5304c5663",
-    CheckStrategy: "0x2090dc81f42f6ddd8deace0d3c3339017417b0dc",
-    VibeStrategy: "0xd0cc2b0efb168bfe1f94a948d8df70fa10257196",
-    ChimpStrategy: "0x3ca20831ebea5c99aa6e574d83f0a7c733f7e4d0",
-};
+// Timeframes GeckoTerminal serves directly, largest first
+const NATIVE_TIMEFRAMES = [
+    { tf: "day", agg: 1, sec: 86400 },
+    { tf: "hour", agg: 12, sec: 43200 },
+    { tf: "hour", agg: 4, sec: 14400 },
+    { tf: "hour", agg: 1, sec: 3600 },
+    { tf: "minute", agg: 15, sec: 900 },
+    { tf: "minute", agg: 5, sec: 300 },
+    { tf: "minute", agg: 1, sec: 60 },
+];
 
-// === Variable starting fee per strategy ===
-// Default if not listed below:
-const DEFAULT_START_FEE = 95; // %
-
-const START_FEE_BY_STRATEGY = {
-    // Edit these as needed (examples shown)
-    PunkStrategy: 10,
-    BirbStrategy: 95,
-    DickStrategy: 95,
-    ApeStrategy: 95,
-    PudgyStrategy: 95,
-    MeebitStrategy: 95,
-    SquiggleStrategy: 95,
-    ToadzStrategy: 95,
-    GobStrategy: 95,
-    PainStrategy: 99,
-    CheckStrategy: 99,
-    VibeStrategy: 99,
-    ChimpStrategy: 99,
+const STEP_UNIT_SEC = { m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Networks (GeckoTerminal ids) + block explorers. Strategies carry their own network;
+// ad-hoc tokens pick one in the UI.
+const DEFAULT_NETWORK = "eth";
+const NETWORKS = {
+    eth: { label: "Ethereum", explorer: "https://etherscan.io", explorerName: "Etherscan" },
+    base: { label: "Base", explorer: "https://basescan.org", explorerName: "Basescan" },
+    arbitrum: { label: "Arbitrum", explorer: "https://arbiscan.io", explorerName: "Arbiscan" },
+    optimism: { label: "Optimism", explorer: "https://optimistic.etherscan.io", explorerName: "Optimism Etherscan" },
+    polygon_pos: { label: "Polygon", explorer: "https://polygonscan.com", explorerName: "Polygonscan" },
+    bsc: { label: "BNB Chain", explorer: "https://bscscan.com", explorerName: "BscScan" },
 };
 
-// Helper to look up the fee by strategy key
-function getStartFeeForKey(nameKey) {
-    return START_FEE_BY_STRATEGY[nameKey] ?? DEFAULT_START_FEE;
+function explorerTokenUrl(network, address) {
+    const net = NETWORKS[network];
+    return net && address ? `${net.explorer}/token/${address}` : null;
+}
+
+// COMPARE ALL loads this many strategies at once (the request queue still enforces 30/min)
+const COMPARE_DEFAULT_CONCURRENCY = 3;
+const COMPARE_MAX_CONCURRENCY = 6;
+
+// GeckoTerminal caps OHLCV at 1000 candles per request; longer ranges are paged
+// backwards with before_timestamp (see fetchOHLCVRange).
+const OHLCV_PAGE_LIMIT = 1000;
+// Upper bound for Rows (N); keeps a 1m COMPARE ALL within a sane number of pages
+const MAX_ROWS = 20000;
+
+/**
+ * Trading fee schedule (per strategy, see feePercentAt):
+ *   startFee at launch, then -decayPct every intervalSec, never below floorFee.
+ *   breakpoints [{ atSec, fee }]: at atSec after launch the fee jumps to `fee`
+ *   and the decay continues from there (decayPct 0 = pure step schedule).
+ * Fields a strategy leaves out come from here.
+ */
+const DEFAULT_FEE_SCHEDULE = { startFee: 95, decayPct: 1, intervalSec: 60, floorFee: 10, breakpoints: [] };
+
+// Built-in strategy registry. The user's copy lives in localStorage (see
+// "Strategy registry" below); this list is the first-run default and "Reset".
+const DEFAULT_REGISTRY = [
+    { name: "PunkStrategy", network: "eth", address: "0xc50673EDb3A7b94E8CAD8a7d4E0cD68864E33eDF", feeSchedule: { startFee: 10 }, enabled: true },
+    { name: "BirbStrategy", network: "eth", address: "0x6bcba7cd81a5f12c10ca1bf9b36761cc382658e8", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "DickStrategy", network: "eth", address: "0x8680acfacb3fed5408764343fc7e8358e8c85a4c", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "ApeStrategy", network: "eth", address: "0x9ebf91b8d6ff68aa05545301a3d0984eaee54a03", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "PudgyStrategy", network: "eth", address: "0xb3d6e9e142a785ea8a4f0050fee73bcc3438c5c5", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "MeebitStrategy", network: "eth", address: "0xc9b2c00f31b210fcea1242d91307a5b1e3b2be68", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "SquiggleStrategy", network: "eth", address: "0x742fd09cbbeb1ec4e3d6404dfc959a324deb50e6", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "ToadzStrategy", network: "eth", address: "0x92cedfdbce6e87b595e4a529afa2905480368af4", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "GobStrategy", network: "eth", address: "0x5d855d8a3090243fed9bf73999eedfbc2d1dcf21", feeSchedule: { startFee: 95 }, enabled: true },
+    { name: "PainStrategy", network: "eth", address: "0xdfc3af477979912ec90b138d3e5552d5304c5663", feeSchedule: { startFee: 99 }, enabled: true },
+    { name: "CheckStrategy", network: "eth", address: "0x2090dc81f42f6ddd8deace0d3c3339017417b0dc", feeSchedule: { startFee: 99 }, enabled: true },
+    { name: "VibeStrategy", network: "eth", address: "0xd0cc2b0efb168bfe1f94a948d8df70fa10257196", feeSchedule: { startFee: 99 }, enabled: true },
+    { name: "ChimpStrategy", network: "eth", address: "0x3ca20831ebea5c99aa6e574d83f0a7c733f7e4d0", feeSchedule: { startFee: 99 }, enabled: true },
+];
+
+/**
+ * Step key ("10m", "2h", "1w", or custom minutes as a number/"90") ->
+ *   { key, sec, tf, agg, rawSec, resample }
+ * tf/agg/rawSec describe the native candles to fetch; resample = rawSec !== sec.
+ * Returns null for anything that isn't a positive whole number of minutes.
+ */
+function resolveStep(stepKey) {
+    const k = String(stepKey ?? "").trim().toLowerCase();
+    let sec = STEP_MAP[k]?.sec ?? null;
+    if (sec == null) {
+        const m = k.match(/^(\d+)\s*([mhdw]?)$/);
+        if (m) sec = Number(m[1]) * STEP_UNIT_SEC[m[2] || "m"];
+    }
+    if (!Number.isFinite(sec) || sec < 60 || sec % 60 !== 0) return null;
+
+    const native = NATIVE_TIMEFRAMES.find(n => sec % n.sec === 0);
+    return {
+        key: STEP_MAP[k] ? k : stepLabel(sec),
+        sec,
+        tf: native.tf,
+        agg: native.agg,
+        rawSec: native.sec,
+        resample: native.sec !== sec,
+    };
+}
+
+// 5400 -> "90m", 7200 -> "2h", 259200 -> "3d"
+function stepLabel(sec) {
+    for (const u of ["w", "d", "h"]) {
+        if (sec % STEP_UNIT_SEC[u] === 0) return `${sec / STEP_UNIT_SEC[u]}${u}`;
+    }
+    return `${sec / 60}m`;
+}
+
+// Step from the selector ("custom" reads the minutes input)
+function getSelectedStep() {
+    const v = els.step.value;
+    return resolveStep(v === "custom" ? els.stepCustom?.value : v);
+}
+
+// Fee schedule by strategy key (custom / unknown tokens get the default)
+function getFeeScheduleForKey(nameKey) {
+    return getStrategy(nameKey)?.feeSchedule ?? DEFAULT_FEE_SCHEDULE;
+}
+
+// "90" / "90m" / "30s" / "2h" -> seconds (bare numbers are minutes); null if invalid
+function parseDurationSec(text) {
+    const m = String(text ?? "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/);
+    if (!m) return null;
+    const sec = Number(m[1]) * (m[2] === "s" ? 1 : STEP_UNIT_SEC[m[2] || "m"]);
+    return Number.isFinite(sec) ? Math.round(sec) : null;
+}
+
+// 45 -> "45s", 600 -> "10m", 3600 -> "1h"
+function durationLabel(sec) {
+    return sec % 60 === 0 && sec > 0 ? stepLabel(sec) : `${sec}s`;
 }
 
 const els = {
     form: document.getElementById("controls"),
     strategy: document.getElementById("strategy"),
+    concurrency: document.getElementById("concurrency"),
+    sim: {
+        summary: document.getElementById("sim-summary"),
+        legs: document.getElementById("sim-legs"),
+        results: document.getElementById("sim-results"),
+        addBuy: document.getElementById("sim-add-buy"),
+        addSell: document.getElementById("sim-add-sell"),
+        clear: document.getElementById("sim-clear"),
+    },
+    supply: {
+        summary: document.getElementById("supply-summary"),
+        points: document.getElementById("supply-points"),
+        add: document.getElementById("supply-add"),
+        importBtn: document.getElementById("supply-import"),
+        importFile: document.getElementById("supply-import-file"),
+        clear: document.getElementById("supply-clear"),
+    },
+    rtPosition: document.getElementById("rt-position"),
+    rtSellFee: document.getElementById("rt-sell-fee"),
+    rtGas: document.getElementById("rt-gas"),
+    customToken: document.getElementById("custom-token"),
+    customNetwork: document.getElementById("custom-network"),
+    customAddress: document.getElementById("custom-address"),
     step: document.getElementById("step"),
+    stepCustom: document.getElementById("step-custom"),
+    multiPool: document.getElementById("multi-pool"),
+    multiPoolWeight: document.getElementById("multi-pool-weight"),
     rows: document.getElementById("rows"),
     start: document.getElementById("start"),
     load: document.getElementById("load"),
+    live: document.getElementById("live"),
     stop: document.getElementById("stop"),
     status: document.getElementById("status"),
     rate: document.getElementById("rate"),
+    provider: document.getElementById("provider"),
+    providerKind: document.getElementById("provider-kind"),
+    providerUrl: document.getElementById("provider-url"),
     tbody: document.getElementById("tbody"),
     ti: {
         wrap: document.getElementById("token-info"),
@@ -90,12 +206,42 @@ const els = {
         vol24: document.getElementById("ti-vol24"),
         mcap: document.getElementById("ti-mcap"),
         contract: document.getElementById("ti-contract"),
+        contractLabel: document.getElementById("ti-contract-label"),
         copyContract: document.getElementById("copy-contract"),
         scanLink: document.getElementById("scan-link"),
+        pools: document.getElementById("ti-pools"),
+        launchSrc: document.getElementById("ti-launch-src"),
+        launchCandidates: document.getElementById("ti-launch-candidates"),
     },
     table: document.getElementById("prices"),
     colPicker: document.querySelector(".columns-picker"),
     startAtLaunch: document.getElementById("start-at-launch"),
+    compareAlign: document.getElementById("compare-align"),
+    end: document.getElementById("end"),
+    endLabel: document.getElementById("end-label"),
+    rangeMode: document.getElementById("range-mode"),
+    rangeHint: document.getElementById("range-hint"),
+    search: {
+        form: document.getElementById("search-form"),
+        query: document.getElementById("search-query"),
+        network: document.getElementById("search-network"),
+        status: document.getElementById("search-status"),
+        results: document.getElementById("search-results"),
+    },
+    registry: {
+        summary: document.getElementById("registry-summary"),
+        list: document.getElementById("registry-list"),
+        importBtn: document.getElementById("registry-import"),
+        importFile: document.getElementById("registry-import-file"),
+        exportBtn: document.getElementById("registry-export"),
+        reset: document.getElementById("registry-reset"),
+    },
+    cache: {
+        summary: document.getElementById("cache-summary"),
+        list: document.getElementById("cache-list"),
+        refresh: document.getElementById("cache-refresh"),
+        clearAll: document.getElementById("cache-clear-all"),
+    },
 };
 
 // Chart elements
@@ -103,21 +249,55 @@ els.chart = document.getElementById("chart");
 els.chartTooltip = document.getElementById("chart-tooltip");
 els.chartLegend = document.getElementById("chart-legend");
 els.chartControls = document.querySelector(".chart-controls");
+els.chartRebase = document.getElementById("chart-rebase");
+els.chartLog = document.getElementById("chart-log");
+els.chartCandles = document.getElementById("chart-candles");
+els.brush = {
+    wrap: document.getElementById("chart-brush"),
+    stats: document.getElementById("chart-brush-stats"),
+    filter: document.getElementById("brush-filter"),
+    zoom: document.getElementById("brush-zoom"),
+    clear: document.getElementById("brush-clear"),
+};
+els.tableFilter = {
+    wrap: document.getElementById("table-filter"),
+    text: document.getElementById("table-filter-text"),
+    clear: document.getElementById("table-filter-clear"),
+};
 
 // Series definitions for the chart
-// Keep only label + formatter (no colors needed)
+// label, unit (which chart pane / Y axis, see CHART_UNITS) + formatter; no colors needed
 const CHART_SERIES_DEF = {
-    open: { label: "Open", fmt: v => fmt(v) },
-    high: { label: "High", fmt: v => fmt(v) },
-    low: { label: "Low", fmt: v => fmt(v) },
-    close: { label: "Close", fmt: v => fmt(v) },
-    volume: { label: "Volume", fmt: v => fmt(v) },
-    mcap: { label: "Market Cap", fmt: v => fmtUSD(v) },
-    fee: { label: "Trading fee", fmt: v => fmtPercent(v) },
-    breakeven: { label: "Breakeven x", fmt: v => fmtMultiple(v) },
-    breakeven_mc: { label: "Breakeven MC", fmt: v => fmtUSD(v) },
+    open: { label: "Open", unit: "price", fmt: v => fmt(v) },
+    high: { label: "High", unit: "price", fmt: v => fmt(v) },
+    low: { label: "Low", unit: "price", fmt: v => fmt(v) },
+    close: { label: "Close", unit: "price", fmt: v => fmt(v) },
+    volume: { label: "Volume", unit: "volume", fmt: v => fmt(v) },
+    mcap: { label: "Market Cap", unit: "usd", fmt: v => fmtUSD(v) },
+    fee: { label: "Trading fee", unit: "pct", fmt: v => fmtPercent(v) },
+    breakeven: { label: "Breakeven x", unit: "mult", fmt: v => fmtMultiple(v) },
+    breakeven_mc: { label: "Breakeven MC", unit: "usd", fmt: v => fmtUSD(v) },
+    rt_breakeven: { label: "Round-trip x", unit: "mult", fmt: v => fmtMultiple(v) },
+    rt_breakeven_mc: { label: "Round-trip MC", unit: "usd", fmt: v => fmtUSD(v) },
+    pnl: { label: "Sim PnL", unit: "usd", fmt: v => fmtUSD(v) },
+};
+
+
+// COMPARE ALL rebase: each strategy × metric line relative to its first usable value in the window
+const REBASE_MODES = {
+    pct: { label: "% change", origin: 0, fmt: v => `${v >= 0 ? "+" : ""}${v.toFixed(1)}%` },
+    index: { label: "index 100", origin: 100, fmt: v => v.toFixed(1) },
 };
 
+// Chart units: series with the same unit share a stacked pane (own Y axis), in this order
+const CHART_UNITS = {
+    usd: { label: "USD", axis: v => fmtAxisNumber(v) },
+    price: { label: "Price (USD)", axis: v => fmt(v) },
+    pct: { label: "%", axis: v => `${fmtAxisNumber(v)}%` },
+    mult: { label: "Multiple", axis: v => `${fmtAxisNumber(v)}x` },
+    volume: { label: "Volume", axis: v => fmtAxisNumber(v) },
+};
+const CHART_UNIT_ORDER = ["rebase", ...Object.keys(CHART_UNITS)];
 
 // Line dashes per metric (empty array = solid)
 const SERIES_DASH_DEF = {
@@ -130,6 +310,9 @@ const SERIES_DASH_DEF = {
     fee: [10, 4],               // very long dash
     breakeven: [6, 2, 2, 2],    // dash-dot-2
     breakeven_mc: [4, 2],       // short dash
+    rt_breakeven: [6, 2, 1, 2, 1, 2], // dash-dot-dot
+    rt_breakeven_mc: [12, 3, 3, 3],   // long dash-dot
+    pnl: [2, 2, 8, 2],          // dot-dash
 };
 
 
@@ -163,8 +346,15 @@ const SINGLE_MODE_METRIC_COLORS = {
     fee: "#FF5AB3", // pink
     breakeven: "#00FFCC", // turquoise
     breakeven_mc: "#FF1AD9", // magenta
+    rt_breakeven: "#A8FF3D", // chartreuse
+    rt_breakeven_mc: "#FF7B00", // orange
+    pnl: "#39FF14", // green
 };
 
+// Candlestick mode: up/down colors; these metrics are drawn as the candles + volume bars instead of lines
+const CANDLE_COLORS = { up: "#39FF14", down: "#FF6A6A" };
+const CANDLE_SERIES = ["open", "high", "low", "close", "volume"];
+
 // Shuffle once per load
 const CHART_PALETTE = PALETTE_MAX_CONTRAST_15; //shuffledPalette(PALETTE_MAX_CONTRAST_15);
 
@@ -177,16 +367,33 @@ const state = {
     contract: null,
     tokenAttrs: null,
     chosenPool: null,
-    mcapSupply: null,
+    supplyTimeline: [],  // active dataset's [{ ts, supply, source }] (see supplyAt)
     launchTs: null,
-    startFee: DEFAULT_START_FEE,
+    feeSchedule: DEFAULT_FEE_SCHEDULE,
+    poolReserveUSD: null, // liquidity behind the candles (round-trip price impact)
+    simLegs: [],         // PnL simulator plan: [{ side: "buy"|"sell", ts, usd }]
     hiddenCols: new Set(),
+    failures: {},        // COMPARE ALL: strategy key -> failure reason
+    compareLoad: null,   // COMPARE ALL: { keys, step, maxRows, startUnix, endUnix, multiPool, align } for retries
+    tableFilter: null,   // { fromX, toX, aligned } chart selection the table is narrowed to
+    infoToken: null,     // { network, address } shown in the info bar (copy / explorer)
+    registry: [],        // strategy registry (see loadRegistry)
+    searchResults: [],   // last token search results
+    singleDataset: null, // single-token mode: the loaded dataset (COMPARE ALL uses datasets)
+    liveStep: null,      // resolveStep() result of the last load (live polling interval)
+    liveRange: null,     // { startUnix, endUnix, endsNow } of the last load; live only follows ranges ending now
+    provider: null,      // active market-data provider (see PROVIDER_KINDS)
+    providerKind: "geckoterminal",
+    providerUrl: null,
 
     // chart state lives here from the start
     chart: {
         rows: [],
         seriesKeys: ["close", "mcap"], // defaults (match your checked boxes)
         series: {},                   // populated by buildChartData
+        view: null,                   // zoom window { fromX, toX, aligned } in chart x units; null = all
+        brush: null,                  // selection { aX, bX, aligned } in chart x units
+        drag: null,                   // pan / brush gesture in progress
     }
 };
 
@@ -229,7 +436,17 @@ function currentTableRows() {
 const API_RATE = {
     limit: 30,           // GeckoTerminal public default
     calls: [],           // Array<msTimestamp>
-    timer: null
+    timer: null,
+    queue: [],           // Array<{ resolve, reject, signal, onAbort }> waiting for a slot
+    pumpTimer: null,     // wakes the queue when the oldest call leaves the window
+    backingOff: 0,       // requests sleeping before a 429/5xx retry
+};
+
+// Retry policy for 429 / 5xx responses (exponential backoff, honors Retry-After)
+const API_RETRY = {
+    maxRetries: 4,
+    baseMs: 2000,
+    maxMs: 60_000,
 };
 
 function apiRatePrune() {
@@ -242,7 +459,9 @@ function apiRateRender() {
     if (!els.rate) return;
     apiRatePrune();
     const n = API_RATE.calls.length;
-    const txt = `${n} API calls/min (${API_RATE.limit} allowed)`;
+    let txt = `${n} API calls/min (${API_RATE.limit} allowed)`;
+    if (API_RATE.queue.length) txt += ` · ${API_RATE.queue.length} queued`;
+    if (API_RATE.backingOff) txt += ` · ${API_RATE.backingOff} retrying`;
     els.rate.textContent = txt;
     els.rate.classList.toggle("warn", n >= Math.floor(API_RATE.limit * 0.8) && n < API_RATE.limit);
     els.rate.classList.toggle("danger", n >= API_RATE.limit);
@@ -254,6 +473,70 @@ function apiRateRecord(count = 1) {
     apiRateRender();
 }
 
+// Resolve queued requests while the rolling 60s window has room
+function apiRatePump() {
+    if (API_RATE.pumpTimer) { clearTimeout(API_RATE.pumpTimer); API_RATE.pumpTimer = null; }
+    apiRatePrune();
+    while (API_RATE.queue.length && API_RATE.calls.length < API_RATE.limit) {
+        const job = API_RATE.queue.shift();
+        job.signal?.removeEventListener("abort", job.onAbort);
+        API_RATE.calls.push(Date.now());
+        job.resolve();
+    }
+    if (API_RATE.queue.length) {
+        // next slot opens when the oldest call is 60s old
+        const wait = Math.max(50, API_RATE.calls[0] + 60_000 - Date.now() + 50);
+        API_RATE.pumpTimer = setTimeout(apiRatePump, wait);
+    }
+    apiRateRender();
+}
+
+// Wait for a free slot in the rate window; records the call once granted.
+function apiRateAcquire(signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    apiRatePrune();
+    if (!API_RATE.queue.length && API_RATE.calls.length < API_RATE.limit) {
+        apiRateRecord(1);
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const job = { resolve, reject, signal, onAbort: null };
+        job.onAbort = () => {
+            const i = API_RATE.queue.indexOf(job);
+            if (i >= 0) API_RATE.queue.splice(i, 1);
+            apiRateRender();
+            reject(abortError());
+        };
+        signal?.addEventListener("abort", job.onAbort, { once: true });
+        API_RATE.queue.push(job);
+        apiRatePump();
+    });
+}
+
+function abortError() {
+    return new DOMException("Aborted", "AbortError");
+}
+
+// setTimeout as a promise that rejects with AbortError when `signal` fires
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError());
+        const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+        const onAbort = () => { clearTimeout(t); reject(abortError()); };
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(res) {
+    const h = res.headers?.get?.("retry-after");
+    if (!h) return null;
+    const secs = Number(h);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(h);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
 function apiRateInit() {
     if (API_RATE.timer) return;
     API_RATE.timer = setInterval(apiRateRender, 1000); // tick once a second
@@ -261,6 +544,198 @@ function apiRateInit() {
 }
 
 
+// ==== Candle + token cache (IndexedDB) ====
+// candles: one record per {network}/{pool}/{timeframe}/{aggregate}/{side} with the
+//          candles fetched so far and the [from, to] ranges known to be complete.
+// tokens:  token JSON (+top pools) per {network}/{address}, reused for tokenTtlMs.
+// Both carry `owner` (strategy key) so the cache panel can clear per strategy.
+// Without IndexedDB (private mode, old browsers) every helper resolves null.
+const CACHE = {
+    dbName: "strategy-utils-cache",
+    version: 1,
+    tokenTtlMs: 5 * 60_000,
+    db: null,            // Promise<IDBDatabase|null>
+};
+
+function cacheOpen() {
+    if (CACHE.db) return CACHE.db;
+    CACHE.db = new Promise(resolve => {
+        if (typeof indexedDB === "undefined") return resolve(null);
+        let req;
+        try { req = indexedDB.open(CACHE.dbName, CACHE.version); } catch (_) { return resolve(null); }
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains("candles")) db.createObjectStore("candles", { keyPath: "key" });
+            if (!db.objectStoreNames.contains("tokens")) db.createObjectStore("tokens", { keyPath: "key" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+    });
+    return CACHE.db;
+}
+
+// Run one request in its own transaction; cache failures never break a load
+async function cacheRequest(storeName, mode, fn) {
+    const db = await cacheOpen();
+    if (!db) return null;
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req.result ?? null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } catch (err) {
+        console.warn("cache:", err);
+        return null;
+    }
+}
+
+function cacheGet(storeName, key) { return cacheRequest(storeName, "readonly", st => st.get(key)); }
+function cachePut(storeName, rec) { return cacheRequest(storeName, "readwrite", st => st.put(rec)); }
+function cacheDelete(storeName, key) { return cacheRequest(storeName, "readwrite", st => st.delete(key)); }
+function cacheAll(storeName) { return cacheRequest(storeName, "readonly", st => st.getAll()).then(x => x || []); }
+
+function candleCacheKey({ network, poolAddress, timeframe, aggregate, side }) {
+    return [state.provider.id, network, normAddr(poolAddress), timeframe, aggregate, side || "base"].join("/");
+}
+
+// Merge [from, to] into sorted, non-overlapping ranges (adjacent = touching by one step)
+function rangesAdd(ranges, from, to, stepSec) {
+    const all = ranges.concat([[from, to]]).sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const r of all) {
+        const last = out[out.length - 1];
+        if (last && r[0] <= last[1] + stepSec) last[1] = Math.max(last[1], r[1]);
+        else out.push([r[0], r[1]]);
+    }
+    return out;
+}
+
+// Parts of [from, to] not covered by `ranges`
+function rangesMissing(ranges, from, to, stepSec) {
+    const gaps = [];
+    let cursor = from;
+    for (const [a, b] of ranges) {
+        if (b < cursor) continue;
+        if (a > to) break;
+        if (a > cursor) gaps.push([cursor, Math.min(to, a - stepSec)]);
+        cursor = Math.max(cursor, b + stepSec);
+    }
+    if (cursor <= to) gaps.push([cursor, to]);
+    return gaps;
+}
+
+/**
+ * Candles for [fromTs, toTs] (aligned to stepSec), fetching only the ranges the
+ * cache does not cover yet. The still-forming candle is never marked complete,
+ * so it is refetched next time. `fresh` refetches all of [fromTs, toTs] and merges it
+ * into the record (other cached ranges of that series are kept).
+ * Returns { candles (ascending), fetched (number of gaps requested) }.
+ */
+async function fetchCandlesCached({ network, poolAddress, timeframe, aggregate, side, stepSec, fromTs, toTs, stopTs, owner, fresh, includeEmpty, signal, onPage }) {
+    const key = candleCacheKey({ network, poolAddress, timeframe, aggregate, side });
+    const rec = await cacheGet("candles", key);
+    const byTs = new Map((rec?.candles || []).map(k => [k.ts, k]));
+    let ranges = rec?.ranges || [];
+
+    // newest gap first, so the visible end of the range arrives first
+    const gaps = fresh ? (fromTs <= toTs ? [[fromTs, toTs]] : []) : rangesMissing(ranges, fromTs, toTs, stepSec).reverse();
+    if (fresh) {
+        // the refetch is authoritative inside its span
+        for (const ts of byTs.keys()) if (ts >= fromTs && ts <= toTs) byTs.delete(ts);
+    }
+    const lastClosed = Math.floor(Date.now() / 1000 / stepSec) * stepSec - stepSec;
+
+    for (const [a, b] of gaps) {
+        const list = await fetchOHLCVRange({
+            network, poolAddress, timeframe, aggregate, side, includeEmpty, signal, onPage,
+            want: Math.ceil((b - a) / stepSec) + 1,
+            fromTs: a,
+            beforeTs: b + stepSec,
+            stopTs
+        });
+        for (const k of list) byTs.set(k.ts, k);
+        const done = Math.min(b, lastClosed);
+        if (done >= a) ranges = rangesAdd(ranges, a, done, stepSec);
+    }
+
+    const all = Array.from(byTs.values()).sort((x, y) => x.ts - y.ts);
+    if (gaps.length) {
+        await cachePut("candles", { key, owner: owner || rec?.owner || null, candles: all, ranges, updatedAt: Date.now() });
+    }
+    return {
+        candles: all.filter(k => k.ts >= fromTs && k.ts <= toTs),
+        fetched: gaps.length
+    };
+}
+
+// Delete cache records: one strategy's ({ owner }), only those without an owner
+// ({ ownerless: true }), or everything (no argument)
+async function cacheClear({ owner = null, ownerless = false } = {}) {
+    const match = ownerless ? (r => !r.owner) : owner != null ? (r => r.owner === owner) : (() => true);
+    for (const storeName of ["candles", "tokens"]) {
+        const recs = await cacheAll(storeName);
+        for (const r of recs) {
+            if (match(r)) await cacheDelete(storeName, r.key);
+        }
+    }
+}
+
+// Cache panel: size per strategy + clear buttons
+async function renderCachePanel() {
+    if (!els.cache?.list) return;
+    const db = await cacheOpen();
+    if (!db) {
+        els.cache.summary.textContent = "unavailable in this browser";
+        els.cache.list.innerHTML = "";
+        return;
+    }
+
+    const groups = new Map(); // owner -> { series, candles, bytes }
+    let totalBytes = 0;
+    for (const storeName of ["candles", "tokens"]) {
+        (await cacheAll(storeName)).forEach(r => {
+            const owner = r.owner || null; // null = fetched without a strategy
+            const g = groups.get(owner) || { series: 0, candles: 0, bytes: 0 };
+            const bytes = JSON.stringify(r).length;
+            if (storeName === "candles") { g.series++; g.candles += r.candles?.length || 0; }
+            g.bytes += bytes;
+            totalBytes += bytes;
+            groups.set(owner, g);
+        });
+    }
+
+    els.cache.summary.textContent = groups.size ? `≈ ${fmtBytes(totalBytes)}` : "empty";
+    els.cache.list.innerHTML = "";
+    groups.forEach((g, owner) => {
+        const row = document.createElement("div");
+        row.className = "cache-row";
+        const name = document.createElement("span");
+        name.textContent = owner ?? "(other)"; // strategy key: token symbol or imported name
+        const size = document.createElement("span");
+        size.textContent = `${g.series} series · ${g.candles.toLocaleString()} candles · ${fmtBytes(g.bytes)}`;
+        row.append(name, size);
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn";
+        btn.textContent = "Clear";
+        btn.addEventListener("click", async () => {
+            await cacheClear(owner == null ? { ownerless: true } : { owner });
+            renderCachePanel();
+        });
+        row.appendChild(btn);
+        els.cache.list.appendChild(row);
+    });
+}
+
+function fmtBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
 // Simple Math.random shuffle
 function shuffledPalette(base) {
     const out = base.slice();
@@ -277,9 +752,40 @@ function createTimeGrid(startUnix, endUnix, stepSec) {
     return out;
 }
 
+// COMPARE ALL aligned by launch: the grid holds seconds since launch, each dataset adds its own base
+function isLaunchAligned() {
+    return state.compareLoad?.align === "launch";
+}
+
+function gridBase(ds) {
+    return isLaunchAligned() ? (ds.alignBase ?? 0) : 0;
+}
+
+// 5400 -> "1h 30m"
+function formatDuration(sec) {
+    const d = Math.floor(sec / 86400), h = Math.floor((sec % 86400) / 3600), m = Math.floor((sec % 3600) / 60);
+    const parts = [d && `${d}d`, h && `${h}h`, m && `${m}m`].filter(Boolean);
+    return parts.join(" ") || "0m";
+}
+
+// 5400 -> "T+1h 30m" (x-axis offset when aligned by launch)
+function formatLaunchOffset(sec) {
+    return `T+${formatDuration(sec)}`;
+}
+
+// Chart x value -> label: wall-clock time, or the offset since launch
+function chartXLabel(ts, aligned = isLaunchAligned()) {
+    return aligned ? formatLaunchOffset(ts) : new Date(ts * 1000).toLocaleString();
+}
+
 function renderStrategyCheckboxes(keys) {
     const wrap = document.getElementById("chart-strategy-controls");
     if (!wrap) return;
+    // keep the user's unchecked tokens when toggles are re-rendered mid-load
+    const unchecked = new Set();
+    wrap.querySelectorAll('input[type="checkbox"][data-strat]').forEach(cb => {
+        if (!cb.checked) unchecked.add(cb.getAttribute("data-strat"));
+    });
     wrap.innerHTML = "";
     if (!keys.length) { wrap.hidden = true; return; }
     wrap.hidden = false;
@@ -292,7 +798,13 @@ function renderStrategyCheckboxes(keys) {
         const id = `cs-${k}`;
         const label = document.createElement("label");
         label.setAttribute("for", id);
-        label.innerHTML = `<input type="checkbox" id="${id}" data-strat="${k}" checked> ${k}`;
+        // keys are token symbols / imported names: build nodes, never markup
+        const cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.id = id;
+        cb.dataset.strat = k;
+        cb.checked = !unchecked.has(k);
+        label.append(cb, ` ${k}`);
         wrap.appendChild(label);
     });
     // Event delegation (persistent). No { once:true }.
@@ -318,6 +830,7 @@ function renderInfoBarFromDataset(ds) {
     els.ti.name.textContent = t.name || "—";
     els.ti.symbol.textContent = t.symbol || "—";
     els.ti.launch.textContent = ds.launchTs ? new Date(ds.launchTs * 1000).toLocaleString() : "—";
+    els.ti.launchSrc.textContent = ds.launch?.source ? `from ${ds.launch.source}` : "";
     els.ti.age.textContent = humanAge(ds.launchTs);
     els.ti.liq.textContent = fmtUSD(t.total_reserve_in_usd ?? ds?.chosenPool?.reserveUSD ?? null);
     els.ti.vol24.textContent = fmtUSD(t.volume_usd?.h24 ?? null);
@@ -331,12 +844,25 @@ function renderInfoBarFromDataset(ds) {
     const hasAddr = !!addr;
     els.ti.copyContract.hidden = !hasAddr;
     els.ti.copyContract.disabled = !hasAddr;
-    els.ti.scanLink.href = hasAddr ? `https://etherscan.io/token/${addr}` : "#";
-    els.ti.scanLink.hidden = !hasAddr;
+    setExplorerLink(ds.network, addr);
+    state.infoToken = hasAddr ? { network: ds.network, address: addr } : null;
 
+    renderPoolsPanel(ds);
+    renderLaunchPanel(ds);
     els.ti.wrap.hidden = false;
 }
 
+// Contract label + explorer link for the token's network
+function setExplorerLink(network, addr) {
+    const url = explorerTokenUrl(network, addr);
+    const name = NETWORKS[network]?.explorerName || "explorer";
+    els.ti.contractLabel.textContent = `Contract (${network || "—"})`;
+    els.ti.scanLink.href = url || "#";
+    els.ti.scanLink.hidden = !url;
+    els.ti.scanLink.title = `View on ${name}`;
+    els.ti.scanLink.setAttribute("aria-label", `View on ${name}`);
+}
+
 function buildTableTabs(keys) {
     const tabsEl = document.getElementById("table-tabs");
     if (!tabsEl) return;
@@ -359,13 +885,16 @@ function switchTableTab(key) {
     if (!ds) return;
 
     // Set context for table computations
-    state.mcapSupply = ds.supply ?? null;
+    state.supplyTimeline = ds.supplyTimeline || [];
     state.launchTs = ds.launchTs ?? null;
-    state.startFee = ds.startFee ?? DEFAULT_START_FEE;  // <— add this
+    state.feeSchedule = ds.feeSchedule ?? DEFAULT_FEE_SCHEDULE;
+    state.poolReserveUSD = datasetReserveUSD(ds);
 
     // info bar + table
     renderInfoBarFromDataset(ds);
     renderRows(ds.rows || []);
+    renderSimResults();
+    renderSupplyPanel();
 
     // Rebuild chart on the same global time grid (no trimming)
     const metricKeys = getCheckedSeriesKeys();
@@ -380,65 +909,106 @@ function switchTableTab(key) {
     }
 }
 
-async function loadOneToken({ network, nameKey, address, step, maxRows, startUnix, endUnix, signal }) {
+async function loadOneToken({ network, nameKey, address, step, maxRows, startUnix, endUnix, signal, onPage, fresh = false, multiPool = null, fromLaunch = false }) {
     // 1) token + pools
-    const tokenJson = await fetchTokenWithTopPools(network, address, signal);
-    const chosen = pickMostLiquidPool(tokenJson, address);
+    const token = await fetchTokenWithTopPools(network, address, signal, { fresh, owner: nameKey });
+    const chosen = pickPool(token, address, getPinnedPool(nameKey));
     if (!chosen?.poolAddress) {
         return { key: nameKey, error: "No pool" };
     }
 
-    // 2) launch + supply
-    const tAttrs = tokenJson?.data?.attributes || {};
-    const pools = (tokenJson?.included || []).filter(x => x.type === "pool");
-    const tsList = pools
-        .map(p => Date.parse(p.attributes?.pool_created_at || "") / 1000)
-        .filter(x => Number.isFinite(x));
-    const launchTs = tsList.length ? Math.min(...tsList)
-        : (chosen?.createdAtISO ? Math.floor(Date.parse(chosen.createdAtISO) / 1000) : null);
+    // aligned by launch: same window length, shifted to start at this token's launch
+    let alignBase = null;
+    if (fromLaunch) {
+        const launchTs = resolveLaunch(token, { override: getLaunchOverride(nameKey) }).ts;
+        if (!Number.isFinite(launchTs)) return { key: nameKey, error: "Launch time unknown" };
+        alignBase = Math.floor(launchTs / step.sec) * step.sec;
+        endUnix = alignBase + (endUnix - startUnix);
+        startUnix = alignBase;
+    }
+
+    // 2) token attributes (launch is resolved once the candles are in)
+    const tAttrs = token?.attrs || {};
 
-    // per-strategy starting fee
-    const startFee = getStartFeeForKey(nameKey);
+    // per-strategy fee schedule
+    const feeSchedule = getFeeScheduleForKey(nameKey);
 
     // reference price from attrs or from later candle
     let refPrice = numOrNull(tAttrs.price_usd);
 
-    // 3) candles
-    const needByRange = Math.ceil((endUnix - startUnix) / (step.client10m ? 60 : step.sec));
-    const rawLimit = Math.min(1000,
-        (step.client10m ? Math.max(maxRows * 10, needByRange) + 10
-            : Math.max(maxRows, needByRange) + 5));
+    // 3) candles: cached ranges + paged fetches (backwards from End until Start or pool creation)
+    //    multi-pool mode: every significant pool, merged per timestamp
+    const rawSec = step.rawSec;
+    const sources = multiPool ? significantPools(token, address, chosen) : [chosen];
+
+    // the last row's whole bucket (resampled steps span several raw candles),
+    // but nothing exists past the currently forming candle
+    const toTs = Math.floor(Math.min(endUnix + step.sec - rawSec, Date.now() / 1000) / rawSec) * rawSec;
+    const startTs = Math.floor(startUnix / rawSec) * rawSec;
+
+    let fetched = 0;
+    const perPool = [];
+    for (const src of sources) {
+        // ...or before the pool
+        const poolCreatedTs = src.createdAtISO ? Math.floor(Date.parse(src.createdAtISO) / 1000) : null;
+        const fromTs = Number.isFinite(poolCreatedTs)
+            ? Math.max(startTs, Math.floor(poolCreatedTs / rawSec) * rawSec) : startTs;
+
+        const res = await fetchCandlesCached({
+            network,
+            poolAddress: src.poolAddress,
+            timeframe: step.tf,
+            aggregate: step.agg,
+            side: src.side,
+            stepSec: rawSec,
+            fromTs, toTs,
+            stopTs: Number.isFinite(poolCreatedTs) ? poolCreatedTs : null,
+            owner: nameKey,
+            fresh,
+            includeEmpty: true,
+            signal,
+            onPage
+        });
+        fetched += res.fetched;
+        perPool.push({ source: src, candles: res.candles });
+    }
+    const raw = perPool.length > 1 ? mergePoolCandles(perPool, multiPool) : perPool[0].candles;
 
-    const raw = await fetchOHLCV({
-        network,
-        poolAddress: chosen.poolAddress,
-        timeframe: step.tf,
-        aggregate: step.client10m ? 1 : step.agg,
-        limit: rawLimit,
-        beforeTs: endUnix,
-        side: chosen.side,
-        includeEmpty: true,
-        signal
-    });
+    const asc = raw; // already deduped + ascending
 
-    const asc = raw.slice().sort((a, b) => a.ts - b.ts);
-    const series = step.client10m ? aggregateTo10m(asc) : asc;
+    // the first non-empty candle only says something about launch if the range reaches pool creation
+    const poolTimes = (token.pools || []).map(p => Date.parse(p.createdAtISO || "") / 1000).filter(Number.isFinite);
+    const reachesLaunch = !poolTimes.length || startTs <= Math.min(...poolTimes);
+    const launch = resolveLaunch(token, { candles: reachesLaunch ? asc : null, override: getLaunchOverride(nameKey) });
+    const series = step.resample ? resampleCandles(asc, step.sec) : asc;
     const rows = series.filter(k => k.ts >= startUnix && k.ts <= endUnix).slice(0, maxRows);
 
     if (!refPrice && rows.length) refPrice = rows[rows.length - 1].c ?? null;
 
-    const supply = deriveSupplyForMcap(tAttrs || {}, refPrice);
+    const snapshotSupply = deriveSupplyForMcap(tAttrs || {}, refPrice);
+    const providerSupply = await fetchSupplyHistory(network, address, signal);
 
-    return {
+    const ds = {
         key: nameKey,
+        network,
         address,
         tokenAttrs: tAttrs,
+        pools: token.pools || [],
         chosenPool: chosen,
-        launchTs,
-        startFee,     // <— NEW
-        supply,
-        rows
+        sourcePools: sources,   // pools behind the candles (several in multi-pool mode)
+        multiPool,
+        launch,                 // { ts, source, candidates } (see resolveLaunch)
+        launchTs: launch.ts,
+        alignBase,              // start of the window when aligned by launch, else null
+        feeSchedule,
+        snapshotSupply,         // { supply, basis } from current token attributes
+        providerSupply,         // [{ ts, supply }] from the provider, or null
+        supplyTimeline: null,   // filled below (see buildSupplyTimeline)
+        rows,
+        fromCache: fetched === 0
     };
+    ds.supplyTimeline = buildSupplyTimeline(ds);
+    return ds;
 }
 
 function buildChartDataMulti(seriesKeys, stratKeys) {
@@ -446,11 +1016,14 @@ function buildChartDataMulti(seriesKeys, stratKeys) {
     const grid = state.chart.timeGrid || [];           // canonical timestamps
     const N = grid.length;
 
-    const combined = {};       // "<strategy>:<series>" -> array of length N
+    const combined = {};       // "<strategy>:<series>" -> array of length N (rebased if on)
+    const raw = {};            // same keys, never rebased (tooltip)
     const combinedKeys = [];
+    const rebase = getRebaseMode();
 
     state.chart.strategyColors = state.chart.strategyColors || {};
     state.chart.strokeStyles = {}; // reset style map
+    const roundTrip = getRoundTripParams();
 
     stratKeys.forEach((sk, si) => {
         // stable color assignment per strategy key
@@ -461,12 +1034,17 @@ function buildChartDataMulti(seriesKeys, stratKeys) {
 
         const ds = dsMap[sk];
         if (!ds) return;
-        const supply = ds.supply;
+        const timeline = ds.supplyTimeline || [];
         const launchTs = ds.launchTs;
-        const startFee = ds.startFee ?? DEFAULT_START_FEE;
+        const feeSchedule = ds.feeSchedule ?? DEFAULT_FEE_SCHEDULE;
+        const reserveUSD = datasetReserveUSD(ds);
+        const base = gridBase(ds);
 
         // map dataset rows by timestamp for O(1) lookup
         const byTs = new Map((ds.rows || []).map(r => [r.ts, r]));
+        const pnlByTs = seriesKeys.includes("pnl") && state.simLegs.length
+            ? (sim => new Map((ds.rows || []).map((r, i) => [r.ts, sim.pnl[i]])))(simulateDataset(ds))
+            : null;
 
         for (const ser of seriesKeys) {
             const key = `${sk}:${ser}`;
@@ -474,9 +1052,10 @@ function buildChartDataMulti(seriesKeys, stratKeys) {
             const arr = new Array(N);
 
             for (let i = 0; i < N; i++) {
-                const ts = grid[i];
+                const ts = base + grid[i];
                 const r = byTs.get(ts);
                 let val = null;
+                const supply = r ? supplyAt(timeline, ts).supply : null;
                 if (r) {
                     switch (ser) {
                         case "open": val = r.o; break;
@@ -485,28 +1064,39 @@ function buildChartDataMulti(seriesKeys, stratKeys) {
                         case "close": val = r.c; break;
                         case "volume": val = r.v; break;
                         case "mcap": val = (supply != null && r?.c != null) ? r.c * supply : null; break;
-                        case "fee": val = Number.isFinite(launchTs)
-                            ? computeTradingFeePercentFor(launchTs, ts, startFee)
-                            : 10; break;
+                        case "fee": val = feePercentAt(feeSchedule, launchTs, ts); break;
                         case "breakeven": {
                             if (Number.isFinite(launchTs)) {
-                                const feePct = computeTradingFeePercentFor(launchTs, ts, startFee);
+                                const feePct = feePercentAt(feeSchedule, launchTs, ts);
                                 val = breakevenMultipleFromFee(feePct);
                             }
                         } break;
                         case "breakeven_mc": {
                             if (Number.isFinite(launchTs) && supply != null && r?.c != null) {
-                                const feePct = computeTradingFeePercentFor(launchTs, ts, startFee);
+                                const feePct = feePercentAt(feeSchedule, launchTs, ts);
                                 const mult = breakevenMultipleFromFee(feePct);
                                 val = (mult != null) ? mult * (r.c * supply) : null;
                             }
                         } break;
+                        case "pnl": val = pnlByTs?.get(ts) ?? null; break;
+                        case "rt_breakeven": {
+                            if (Number.isFinite(launchTs)) {
+                                val = roundTripBreakevenMultiple(feePercentAt(feeSchedule, launchTs, ts), { ...roundTrip, reserveUSD });
+                            }
+                        } break;
+                        case "rt_breakeven_mc": {
+                            if (Number.isFinite(launchTs) && supply != null && r?.c != null) {
+                                const mult = roundTripBreakevenMultiple(feePercentAt(feeSchedule, launchTs, ts), { ...roundTrip, reserveUSD });
+                                val = (mult != null) ? mult * (r.c * supply) : null;
+                            }
+                        } break;
                     }
                 }
                 arr[i] = (val == null || !isFinite(val)) ? null : val;
             }
 
-            combined[key] = arr;
+            raw[key] = arr;
+            combined[key] = rebase ? rebaseSeries(arr, rebase) : arr;
 
             // color by strategy, dash by metric
             const dash = SERIES_DASH_DEF[ser] || [];
@@ -517,7 +1107,9 @@ function buildChartDataMulti(seriesKeys, stratKeys) {
     // Commit: x-axis uses the global grid; overlay uses combined arrays
     state.chart.rows = grid.map(ts => ({ ts }));
     state.chart.seriesCombined = combined;
+    state.chart.seriesRaw = raw;
     state.chart.combinedKeys = combinedKeys;
+    state.chart.rebase = rebase;
 }
 
 
@@ -531,6 +1123,19 @@ function getCheckedSeriesKeys() {
     return keys;
 }
 
+function getRebaseMode() {
+    const v = els.chartRebase?.value;
+    return REBASE_MODES[v] ? v : null;
+}
+
+// First non-null, non-zero value = origin; zero/empty series can't be rebased (all null)
+function rebaseSeries(arr, mode) {
+    const { origin } = REBASE_MODES[mode];
+    const base = arr.find(v => v != null && v !== 0);
+    if (base == null) return arr.map(() => null);
+    return arr.map(v => (v == null ? null : origin + ((v - base) / Math.abs(base)) * 100));
+}
+
 function rebuildChartFromControls() {
     const metricKeys = getMetricKeysOrDefault();         // <-- fallback to defaults
     const isAllMode = !!(state.datasets && Object.keys(state.datasets).length);
@@ -564,30 +1169,89 @@ function wireChartControlHandlers() {
     window.addEventListener("resize", () => drawChart());
 }
 
-// Variable starting fee schedule:
-// minute 0 after launch: startFee%
-// then -1% per minute until it reaches 10%
-// after that: flat 10%. If launchTs missing, default to 10%.
-function computeTradingFeePercentFor(launchTs, tsSec, startFee = DEFAULT_START_FEE, restFee = 10) {
-    if (!Number.isFinite(launchTs)) return restFee;
+// Fee % at tsSec for a schedule (see DEFAULT_FEE_SCHEDULE). The one fee engine
+// behind the table, chart and breakeven columns. No launch -> floor fee.
+function feePercentAt(schedule, launchTs, tsSec) {
+    const s = schedule || DEFAULT_FEE_SCHEDULE;
+    if (!Number.isFinite(launchTs)) return s.floorFee;
     const delta = tsSec - launchTs;
-    if (delta < 0) return startFee; // before launch edge
-    const minutes = Math.floor(delta / 60);
-    const fee = startFee - minutes;
-    return Math.max(restFee, fee);
+    if (delta < 0) return s.startFee; // before launch edge
+
+    // latest breakpoint reached (sorted by atSec) restarts the decay
+    let fromSec = 0;
+    let fee = s.startFee;
+    for (const b of s.breakpoints) {
+        if (b.atSec > delta) break;
+        fromSec = b.atSec;
+        fee = b.fee;
+    }
+    const intervals = s.intervalSec > 0 ? Math.floor((delta - fromSec) / s.intervalSec) : 0;
+    return Math.max(s.floorFee, fee - intervals * s.decayPct);
+}
+
+/**
+ * Validate + fill a fee schedule (registry entries, imports). intervalSec accepts
+ * a duration ("1m", "30s"); breakpoints accept [{ atSec, fee }] or "10m=50, 1h=20".
+ * Throws with a readable reason.
+ */
+function normalizeFeeSchedule(input, where = "Fee schedule") {
+    const src = { ...DEFAULT_FEE_SCHEDULE, ...(input || {}) };
+    const pct = (v, label) => {
+        const n = v === "" || v == null ? NaN : Number(v);
+        if (!Number.isFinite(n) || n < 0 || n > 100) throw new Error(`${where}: ${label} must be 0–100`);
+        return n;
+    };
+    const intervalSec = typeof src.intervalSec === "number" ? src.intervalSec : parseDurationSec(src.intervalSec);
+    if (!Number.isFinite(intervalSec) || intervalSec <= 0) throw new Error(`${where}: interval must be a duration like 1m or 30s`);
+
+    let bps = src.breakpoints ?? [];
+    if (typeof bps === "string") {
+        bps = bps.split(",").map(x => x.trim()).filter(Boolean).map(part => {
+            const [at, fee] = part.split("=").map(x => x.trim());
+            return { atSec: parseDurationSec(at), fee };
+        });
+    }
+    if (!Array.isArray(bps)) throw new Error(`${where}: breakpoints must be a list`);
+    const breakpoints = bps.map(b => {
+        const atSec = typeof b?.atSec === "number" ? b.atSec : parseDurationSec(b?.atSec);
+        if (!Number.isFinite(atSec) || atSec < 0) throw new Error(`${where}: breakpoints look like 10m=50, 1h=20`);
+        return { atSec, fee: pct(b.fee, "breakpoint fee") };
+    }).sort((a, b) => a.atSec - b.atSec);
+
+    return {
+        startFee: pct(src.startFee, "start fee"),
+        decayPct: pct(src.decayPct, "decay"),
+        intervalSec,
+        floorFee: pct(src.floorFee, "floor fee"),
+        breakpoints,
+    };
+}
+
+// [{ atSec: 600, fee: 50 }] -> "10m=50"
+function formatBreakpoints(list) {
+    return (list || []).map(b => `${durationLabel(b.atSec)}=${b.fee}`).join(", ");
 }
 
 function buildChartData(rows) {
-    const keys = state.chart.seriesKeys;
+    state.chart.rebase = null; // rebasing is for overlaid strategies only
+    state.chart.rows = rows;
+    state.chart.series = computeSeries(rows, state.chart.seriesKeys);
+}
+
+// Series arrays for one dataset's rows, using the active dataset context (supply, launch, fees)
+function computeSeries(rows, keys) {
     const series = {};
     // Precompute derived columns per row (same logic as renderRows)
-    const supply = state.mcapSupply;
+    const roundTrip = getRoundTripParams();
     const rowCalc = rows.map(r => {
+        const { supply } = supplyAt(state.supplyTimeline, r.ts);
         const mcap = (supply != null && r?.c != null) ? r.c * supply : null;
-        const feePct = computeTradingFeePercent(r.ts);
+        const feePct = feePercentAt(state.feeSchedule, state.launchTs, r.ts);
         const bMultiple = breakevenMultipleFromFee(feePct);
         const bMC = (bMultiple != null && mcap != null) ? (bMultiple * mcap) : null;
-        return { ...r, mcap, feePct, bMultiple, bMC };
+        const rtMultiple = roundTripBreakevenMultiple(feePct, { ...roundTrip, reserveUSD: state.poolReserveUSD });
+        const rtMC = (rtMultiple != null && mcap != null) ? (rtMultiple * mcap) : null;
+        return { ...r, mcap, feePct, bMultiple, bMC, rtMultiple, rtMC };
     });
 
     keys.forEach(k => {
@@ -601,11 +1265,36 @@ function buildChartData(rows) {
             case "fee": series[k] = rowCalc.map(r => r.feePct ?? null); break;
             case "breakeven": series[k] = rowCalc.map(r => r.bMultiple ?? null); break;
             case "breakeven_mc": series[k] = rowCalc.map(r => r.bMC ?? null); break;
+            case "rt_breakeven": series[k] = rowCalc.map(r => r.rtMultiple ?? null); break;
+            case "rt_breakeven_mc": series[k] = rowCalc.map(r => r.rtMC ?? null); break;
+            case "pnl": series[k] = state.simLegs.length
+                ? simulatePlan(rows, state.simLegs, state.feeSchedule, state.launchTs, state.liveStep?.sec).pnl
+                : rows.map(() => null); break;
         }
     });
+    return series;
+}
 
-    state.chart.rows = rows;
-    state.chart.series = series;
+// Candlestick mode draws the active dataset (single token, or the visible COMPARE ALL tab)
+function isCandleMode() {
+    return !!els.chartCandles?.checked && !!activeDataset();
+}
+
+// What drawChart plots: candles for the active dataset, the COMPARE ALL overlay, or single-token lines
+function chartSource() {
+    if (isCandleMode()) {
+        const rows = activeDataset().rows || [];
+        const keys = getMetricKeysOrDefault().filter(k => !CANDLE_SERIES.includes(k));
+        return { rows, keys, series: computeSeries(rows, keys), isAllMode: false, candles: true };
+    }
+    const isAllMode = !!(state.datasets && Object.keys(state.datasets || {}).length) && Array.isArray(state.chart.combinedKeys);
+    return {
+        rows: state.chart.rows || [],
+        keys: isAllMode ? (state.chart.combinedKeys || []) : (state.chart.seriesKeys || []),
+        series: isAllMode ? (state.chart.seriesCombined || {}) : (state.chart.series || {}),
+        isAllMode,
+        candles: false
+    };
 }
 
 function niceTicks(min, max, target = 6) {
@@ -625,140 +1314,648 @@ function niceTicks(min, max, target = 6) {
     return ticks;
 }
 
+// 1-2-5 ticks per decade inside [min, max] (both > 0); thinned to (every k-th) decade when crowded
+function logTicks(min, max, target = 6) {
+    const out = [];
+    for (let e = Math.floor(Math.log10(min)); e <= Math.ceil(Math.log10(max)); e++) {
+        for (const m of [1, 2, 5]) {
+            const v = parseFloat(`${m}e${e}`); // exact decimal, unlike m * 10 ** e
+            if (v >= min && v <= max) out.push(v);
+        }
+    }
+    if (out.length > target * 1.5) {
+        const decades = out.filter(v => Math.abs(Math.log10(v) % 1) < 1e-9);
+        const every = Math.ceil(decades.length / target);
+        return decades.filter((_, i) => i % every === 0);
+    }
+    // less than one 1-2-5 step apart: fall back to linear ticks
+    return out.length >= 2 ? out : niceTicks(min, max, target).filter(v => v >= min && v <= max);
+}
 
+// Pane unit for a series key ("<strategy>:<series>" or "<series>"); rebased lines share one axis
+function seriesUnit(key, rebased) {
+    if (rebased) return "rebase";
+    const id = key.includes(":") ? key.split(":").pop() : key;
+    return CHART_SERIES_DEF[id]?.unit || "usd";
+}
 
-function drawChart() {
-    const canvas = els.chart;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
+function unitAxisLabel(unit, v) {
+    if (unit === "rebase") return REBASE_MODES[state.chart.rebase]?.fmt(v) ?? fmtAxisNumber(v);
+    return (CHART_UNITS[unit] || CHART_UNITS.usd).axis(v);
+}
 
-    // Hi-DPI
-    const dpr = window.devicePixelRatio || 1;
-    const cssW = canvas.clientWidth || canvas.width;
-    const cssH = canvas.clientHeight || canvas.height;
-    if (canvas.width !== Math.round(cssW * dpr) || canvas.height !== Math.round(cssH * dpr)) {
-        canvas.width = Math.round(cssW * dpr);
-        canvas.height = Math.round(cssH * dpr);
+// per-line style: color by strategy in ALL-mode (by metric otherwise), dash by metric
+function chartSeriesStyle(key, isAllMode) {
+    const seriesId = key.includes(":") ? key.split(":").pop() : key;
+    const dash = SERIES_DASH_DEF[seriesId] || [];
+    if (isAllMode) {
+        const strat = key.includes(":") ? key.split(":")[0] : "";
+        return { color: state.chart.strategyColors?.[strat] || "#fff", dash };
     }
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    ctx.clearRect(0, 0, cssW, cssH);
+    return { color: SINGLE_MODE_METRIC_COLORS[seriesId] || "#00E5FF", dash };
+}
 
-    // legend reset
-    if (els.chartLegend) els.chartLegend.innerHTML = "";
+/**
+ * Chart geometry: one stacked pane per unit in use (own Y axis, linear or log),
+ * all sharing the x axis. Panes with no plottable values are left out.
+ * Candle mode puts a (taller) candlestick pane + a volume bar pane on top.
+ * Returns null when there is nothing to draw.
+ */
+function computeChartLayout(cssW, cssH, { rows, keys, series, isAllMode, candles }) {
+    const pad = { top: 12, right: 56, bottom: 22, left: 8 };
+    const n = rows.length;
+    const x0 = pad.left;
+    const PW = cssW - pad.left - pad.right;
+    const aligned = isAllMode && isLaunchAligned();
+    // zoom/pan window (row indices); Y ranges only look at what's visible
+    syncChartXUnits(aligned);
+    const { from, to } = visibleRange(rows);
+    const span = to - from;
+    const xAt = i => x0 + (span <= 0 ? 0 : (PW * ((i - from) / span)));
+    const indexAt = mx => Math.max(from, Math.min(to, from + Math.round((mx - x0) / (PW / (span || 1)))));
+    const useLog = !!els.chartLog?.checked;
+
+    const byUnit = new Map();
+    keys.forEach(k => {
+        const unit = seriesUnit(k, isAllMode && !!state.chart.rebase);
+        if (!byUnit.has(unit)) byUnit.set(unit, []);
+        byUnit.get(unit).push(k);
+    });
+
+    const panes = [];
+    if (candles) {
+        const visible = rows.slice(from, to + 1);
+        const lows = visible.map(r => r.l), highs = visible.map(r => r.h);
+        const vols = visible.map(r => r.v);
+        const pricePane = candlePaneRange([...lows, ...highs], useLog);
+        if (pricePane) panes.push({ unit: "price", kind: "candles", keys: [], weight: 3, ...pricePane });
+        const volPane = candlePaneRange(vols, useLog, true);
+        if (volPane) panes.push({ unit: "volume", kind: "bars", keys: [], weight: 1, ...volPane });
+    }
+    CHART_UNIT_ORDER.filter(u => byUnit.has(u)).forEach(unit => {
+        const paneKeys = byUnit.get(unit);
+        let min = +Infinity, max = -Infinity, minPos = +Infinity, maxPos = -Infinity;
+        paneKeys.forEach(k => {
+            const data = series[k] || [];
+            for (let i = from; i <= to; i++) {
+                const v = data[i];
+                if (v == null || !isFinite(v)) continue;
+                if (v < min) min = v; if (v > max) max = v;
+                if (v > 0) { if (v < minPos) minPos = v; if (v > maxPos) maxPos = v; }
+            }
+        });
+        if (!isFinite(min)) return;
+        // log needs positives; values <= 0 become gaps on a log pane
+        const log = useLog && isFinite(minPos);
+        panes.push({ unit, keys: paneKeys, log, weight: 1, ...(log ? { min: Math.log10(minPos), max: Math.log10(maxPos) } : { min, max }) });
+    });
+    if (!n || !panes.length) return null;
+
+    const gap = 10;
+    const unitH = (cssH - pad.top - pad.bottom - gap * (panes.length - 1)) / panes.reduce((a, p) => a + p.weight, 0);
+    const paneOf = {};
+    let y = pad.top;
+    panes.forEach(p => {
+        const PH = unitH * p.weight;
+        if (p.min === p.max) { p.min -= p.log ? 0.5 : 1; p.max += p.log ? 0.5 : 1; }
+        const padAmt = Math.max((p.max - p.min) * CHART_Y_PAD_FRAC, 1e-6);
+        // volume bars grow from the pane floor
+        const lo = p.kind === "bars" && !p.log ? p.min : p.min - padAmt, hi = p.max + padAmt;
+        p.y0 = y;
+        p.PH = PH;
+        y += PH + gap;
+        const yLin = t => p.y0 + PH - ((t - lo) / (hi - lo)) * PH;
+        p.yAt = p.log ? (v => (v > 0 ? yLin(Math.log10(v)) : null)) : yLin;
+        const target = Math.max(2, Math.min(6, Math.floor(PH / 40)));
+        p.ticks = p.log
+            ? logTicks(Math.pow(10, lo), Math.pow(10, hi), target)
+            : niceTicks(lo, hi, target).filter(t => t >= lo && t <= hi);
+        p.keys.forEach(k => { paneOf[k] = p; });
+    });
+
+    return {
+        pad, x0, PW, n, from, to, xAt, indexAt, panes, paneOf, rows, keys, series, isAllMode, candles, cssW, cssH,
+        aligned,
+        plotTop: pad.top, plotBottom: cssH - pad.bottom
+    };
+}
+
+// ==== Zoom / pan / brush ====
+// View + brush are kept in chart x units (ts, or seconds since launch when aligned), so they
+// survive live appends; `aligned` records which, so switching between the launch-aligned
+// overlay and candles (wall clock) converts them (see syncChartXUnits). view = null -> everything.
+const CHART_MIN_VISIBLE = 5; // rows
+const CHART_TIME_TICKS = [60, 300, 900, 1800, 3600, 7200, 6 * 3600, 12 * 3600, 86400, 2 * 86400, 7 * 86400, 30 * 86400];
+
+// Aligned overlay <-> wall-clock candles: shift view + brush by the active dataset's launch base
+function syncChartXUnits(aligned) {
+    const base = gridBase(activeDataset() || {});
+    const shift = x => x + (aligned ? -base : base);
+    const v = state.chart.view, b = state.chart.brush;
+    if (v && !!v.aligned !== aligned) state.chart.view = { fromX: shift(v.fromX), toX: shift(v.toX), aligned };
+    if (b && !!b.aligned !== aligned) state.chart.brush = { aX: shift(b.aX), bX: shift(b.bX), aligned };
+}
 
-    const rows = state.chart.rows || [];
+// Row index window for the current view (full range if unset or nothing left in it)
+function visibleRange(rows) {
     const n = rows.length;
+    const v = state.chart.view;
+    if (!v || n < 2) return { from: 0, to: Math.max(0, n - 1) };
+    const from = lowerBoundTs(rows, v.fromX);
+    const to = lowerBoundTs(rows, v.toX + 1) - 1;
+    return to - from >= 1 ? { from, to } : { from: 0, to: n - 1 };
+}
 
-    // ALL-mode = overlay
-    const isAllMode = !!(state.datasets && Object.keys(state.datasets || {}).length) && Array.isArray(state.chart.combinedKeys);
-    const keys = isAllMode ? (state.chart.combinedKeys || []) : (state.chart.seriesKeys || []);
-    const series = isAllMode ? (state.chart.seriesCombined || {}) : (state.chart.series || {});
+// First index with rows[i].ts >= ts (rows ascending)
+function lowerBoundTs(rows, ts) {
+    let lo = 0, hi = rows.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (rows[mid].ts < ts) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
 
-    if (!n || !keys.length) {
-        drawEmpty(ctx, cssW, cssH);
-        const pad = { top: 12, right: 56, bottom: 22, left: 8 };
-        ctx.strokeStyle = "rgba(255,255,255,.1)";
-        ctx.beginPath(); ctx.moveTo(pad.left, pad.top); ctx.lineTo(pad.left, cssH - pad.bottom); ctx.stroke();
-        return bindChartHover(pad.left, pad.top, cssW - pad.left - pad.right, cssH - pad.top - pad.bottom,
-            i => 0, v => 0, 0, 1);
+function setChartView(L, from, to) {
+    from = Math.max(0, from);
+    to = Math.min(L.n - 1, to);
+    state.chart.view = (from <= 0 && to >= L.n - 1) ? null : { fromX: L.rows[from].ts, toX: L.rows[to].ts, aligned: L.aligned };
+    drawChart();
+}
+
+// Time ticks for the visible span: the smallest "nice" interval giving at most one label per ~110px.
+// Wall-clock ticks sit on local-time multiples; aligned ticks on offset multiples.
+function chartTimeTicks(L) {
+    const t0 = L.rows[L.from].ts, t1 = L.rows[L.to].ts;
+    if (!(t1 > t0)) return [];
+    const maxTicks = Math.max(2, Math.floor(L.PW / 110));
+    const interval = CHART_TIME_TICKS.find(sec => (t1 - t0) / sec <= maxTicks) ?? Math.ceil((t1 - t0) / maxTicks / 86400) * 86400;
+    const shift = L.aligned ? 0 : -new Date(t0 * 1000).getTimezoneOffset() * 60; // local = utc + shift
+    const ticks = [];
+    for (let t = Math.ceil((t0 + shift) / interval) * interval - shift; t <= t1; t += interval) {
+        const x = L.x0 + L.PW * ((t - t0) / (t1 - t0));
+        ticks.push({ t, x, label: chartTickLabel(t, interval, L.aligned) });
     }
+    return ticks;
+}
 
-    // min/max across visible series
-    let min = +Infinity, max = -Infinity;
-    keys.forEach(k => {
-        (series[k] || []).forEach(v => {
-            if (v == null || !isFinite(v)) return;
-            if (v < min) min = v; if (v > max) max = v;
-        });
-    });
-    if (!isFinite(min) || !isFinite(max)) { drawEmpty(ctx, cssW, cssH); return; }
-    if (min === max) { min -= 1; max += 1; }
+function chartTickLabel(t, interval, aligned) {
+    if (aligned) return formatLaunchOffset(t);
+    const d = new Date(t * 1000);
+    const date = d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    if (interval >= 86400) return date;
+    const time = d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+    return d.getHours() === 0 && d.getMinutes() === 0 ? date : time;
+}
 
-    // vertical padding
-    const span = max - min;
-    const padAmt = Math.max(span * CHART_Y_PAD_FRAC, 1e-6);
-    const minP = min - padAmt;
-    const maxP = max + padAmt;
+// Rows of the active dataset inside the brush (chart x -> that dataset's ts)
+function brushRows() {
+    const b = state.chart.brush;
+    const ds = activeDataset();
+    if (!b || !ds) return [];
+    const base = state.chart.layout?.aligned ? gridBase(ds) : 0;
+    const lo = Math.min(b.aX, b.bX) + base, hi = Math.max(b.aX, b.bX) + base;
+    return (ds.rows || []).filter(r => r.ts >= lo && r.ts <= hi);
+}
 
-    // layout
-    const pad = { top: 12, right: 56, bottom: 22, left: 8 };
-    const x0 = pad.left, y0 = pad.top;
-    const PW = cssW - pad.left - pad.right;
-    const PH = cssH - pad.top - pad.bottom;
+function renderBrushStats() {
+    const box = els.brush;
+    if (!box?.wrap) return;
+    const rows = brushRows();
+    box.wrap.hidden = !state.chart.brush;
+    if (!state.chart.brush) return;
+    if (!rows.length) { box.stats.textContent = "No rows in the selection."; return; }
+
+    const first = rows[0], last = rows[rows.length - 1];
+    const open = first.o ?? first.c, close = last.c;
+    const change = open ? ((close - open) / open) * 100 : null;
+    const high = Math.max(...rows.map(r => r.h ?? -Infinity));
+    const low = Math.min(...rows.map(r => r.l ?? Infinity));
+    const volume = rows.reduce((a, r) => a + (r.v || 0), 0);
+    const stepSec = state.liveStep?.sec ?? 0;
+    const cls = change == null ? "" : (change >= 0 ? "pos" : "neg");
+    box.stats.innerHTML = `
+        <strong>${escapeHtml(activeDataset()?.key || "")}</strong>
+        ${new Date(first.ts * 1000).toLocaleString()} → ${new Date(last.ts * 1000).toLocaleString()}
+        · <span class="${cls}">${change == null ? "—" : `${change >= 0 ? "+" : ""}${change.toFixed(2)}%`}</span>
+        · H ${fmt(high)} · L ${fmt(low)}
+        · Vol ${fmt(volume)}
+        · ${formatDuration(last.ts + stepSec - first.ts)} (${rows.length} rows)`;
+}
 
-    // scales
-    const xAt = i => x0 + (n <= 1 ? 0 : (PW * (i / (n - 1))));
-    const yAt = v => y0 + PH - ((v - minP) / (maxP - minP)) * PH;
+// Table filter: chart x span (same units as the brush); rows outside are hidden
+function applyTableFilterFromBrush() {
+    const b = state.chart.brush;
+    if (!b) return;
+    state.tableFilter = { fromX: Math.min(b.aX, b.bX), toX: Math.max(b.aX, b.bX), aligned: !!b.aligned };
+    renderRows(currentTableRows());
+}
 
-    // grid + right axis
-    ctx.font = "12px " + getComputedStyle(document.body).getPropertyValue("--mono");
-    ctx.textAlign = "right";
-    ctx.textBaseline = "middle";
-    ctx.strokeStyle = "rgba(255,255,255,.1)";
-    ctx.fillStyle = getComputedStyle(document.body).getPropertyValue("--text") || "#fff";
-    const axisKeys = isAllMode ? keys.map(k => k.includes(":") ? k.split(":").pop() : k) : keys;
-    const ticks = niceTicks(minP, maxP, 6);
-    ticks.forEach(t => {
-        const y = yAt(t);
-        ctx.beginPath(); ctx.moveTo(x0, y); ctx.lineTo(x0 + PW, y); ctx.stroke();
-        const label = formatForAxis(t, axisKeys);
-        ctx.fillText(label, x0 + PW + 44, y);
-    });
+function clearTableFilter() {
+    state.tableFilter = null;
+    renderRows(currentTableRows());
+}
+
+function tableFilterAccepts(r) {
+    const f = state.tableFilter;
+    if (!f) return true;
+    const base = f.aligned ? gridBase(activeDataset() || {}) : 0;
+    return r.ts >= f.fromX + base && r.ts <= f.toX + base;
+}
+
+function renderTableFilterNote(shown, total) {
+    if (!els.tableFilter?.wrap) return;
+    els.tableFilter.wrap.hidden = !state.tableFilter;
+    if (state.tableFilter) els.tableFilter.text.textContent = `Table filtered to the chart selection: ${shown} of ${total} rows.`;
+}
+
+function resetChartView() {
+    state.chart.view = null;
+    state.chart.brush = null;
+    state.chart.drag = null;
+    state.tableFilter = null;
+    renderBrushStats();
+}
 
-    // x labels
-    ctx.textAlign = "left"; ctx.textBaseline = "top";
-    const s0 = new Date(rows[0].ts * 1000).toLocaleString();
-    const s1 = new Date(rows[n - 1].ts * 1000).toLocaleString();
-    ctx.fillText(s0, x0, y0 + PH + 4);
-    const w = ctx.measureText(s1).width;
-    ctx.fillText(s1, x0 + PW - w, y0 + PH + 4);
-
-    // get per-line style
-    // inside drawChart()
-    const getStyle = (key) => {
-        const seriesId = key.includes(":") ? key.split(":").pop() : key;
-        const dash = SERIES_DASH_DEF[seriesId] || [];
-        if (isAllMode) {
-            // color by strategy (already set elsewhere), dash by metric
-            const strat = key.includes(":") ? key.split(":")[0] : "";
-            const color = (state.chart.strategyColors && state.chart.strategyColors[strat]) || "#fff";
-            return { color, dash };
+// Wheel = zoom around the cursor, drag = pan, shift+drag = brush, double-click = reset zoom
+function initChartInteractions() {
+    const canvas = els.chart;
+    if (!canvas) return;
+    const mouseX = ev => ev.clientX - canvas.getBoundingClientRect().left;
+
+    canvas.addEventListener("wheel", ev => {
+        const L = state.chart.layout;
+        if (!L || L.n < 2) return;
+        ev.preventDefault();
+        const span = L.to - L.from;
+        const anchor = L.indexAt(mouseX(ev));
+        const frac = span ? (anchor - L.from) / span : 0.5;
+        let next = Math.round(span * (ev.deltaY > 0 ? 1.25 : 0.8));
+        if (next === span) next += ev.deltaY > 0 ? 1 : -1;
+        next = Math.max(CHART_MIN_VISIBLE - 1, Math.min(L.n - 1, next));
+        const from = Math.max(0, Math.min(L.n - 1 - next, Math.round(anchor - frac * next)));
+        setChartView(L, from, from + next);
+    }, { passive: false });
+
+    canvas.addEventListener("mousedown", ev => {
+        const L = state.chart.layout;
+        if (!L || ev.button !== 0) return;
+        const mx = mouseX(ev);
+        if (ev.shiftKey) {
+            const x = L.rows[L.indexAt(mx)].ts;
+            state.chart.brush = { aX: x, bX: x, aligned: L.aligned };
+            state.chart.drag = { mode: "brush" };
         } else {
-            // single mode: color by metric, dash by metric
-            const color = SINGLE_MODE_METRIC_COLORS[seriesId] || "#00E5FF";
-            return { color, dash };
+            state.chart.drag = { mode: "pan", startX: mx, from: L.from, to: L.to };
         }
-    };
+        if (els.chartTooltip) els.chartTooltip.hidden = true;
+        ev.preventDefault();
+    });
 
-    // lines
-    keys.forEach(k => {
-        const data = series[k] || [];
-        const { color, dash } = getStyle(k);
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.setLineDash(dash);
-        ctx.beginPath();
-        let started = false;
-        for (let i = 0; i < n; i++) {
-            const v = data[i];
-            if (v == null || !isFinite(v)) { started = false; continue; }
-            const x = xAt(i), y = yAt(v);
-            if (!started) { ctx.moveTo(x, y); started = true; } else ctx.lineTo(x, y);
+    window.addEventListener("mousemove", ev => {
+        const drag = state.chart.drag;
+        const L = state.chart.layout;
+        if (!drag || !L) return;
+        const mx = mouseX(ev);
+        if (drag.mode === "brush") {
+            state.chart.brush.bX = L.rows[L.indexAt(mx)].ts;
+            renderBrushStats();
+            paintChart(L);
+        } else {
+            const span = drag.to - drag.from;
+            const shift = Math.round((drag.startX - mx) / (L.PW / (span || 1)));
+            const from = Math.max(0, Math.min(L.n - 1 - span, drag.from + shift));
+            if (from !== L.from) setChartView(L, from, from + span);
         }
-        ctx.stroke();
     });
-    ctx.setLineDash([]);
 
-    // === Legends ===
-    renderMetricLegend(getCheckedSeriesKeys()); // dash-only legend per metric
+    window.addEventListener("mouseup", () => {
+        const drag = state.chart.drag;
+        if (!drag) return;
+        state.chart.drag = null;
+        // a click without a span clears the selection
+        if (drag.mode === "brush" && state.chart.brush.aX === state.chart.brush.bX) state.chart.brush = null;
+        renderBrushStats();
+        if (state.chart.layout) paintChart(state.chart.layout);
+    });
 
-    if (isAllMode && els.chartLegend) {
-        // strategy color legend
-        const stratKeys = getCheckedStrategyKeys();
-        if (stratKeys.length) {
-            const wrap = document.createElement("div");
-            wrap.style.marginTop = "6px";
-            wrap.style.display = "flex";
+    canvas.addEventListener("dblclick", () => {
+        state.chart.view = null;
+        drawChart();
+    });
+
+    els.brush.filter?.addEventListener("click", applyTableFilterFromBrush);
+    els.brush.zoom?.addEventListener("click", () => {
+        const b = state.chart.brush;
+        if (!b) return;
+        state.chart.view = { fromX: Math.min(b.aX, b.bX), toX: Math.max(b.aX, b.bX), aligned: b.aligned };
+        drawChart();
+    });
+    els.brush.clear?.addEventListener("click", () => {
+        state.chart.brush = null;
+        renderBrushStats();
+        if (state.chart.layout) paintChart(state.chart.layout);
+    });
+    els.tableFilter.clear?.addEventListener("click", clearTableFilter);
+}
+
+// Y range for a candle/volume pane ({ min, max, log } in axis space), null if no values
+function candlePaneRange(values, useLog, fromZero = false) {
+    const vals = values.filter(v => v != null && isFinite(v));
+    if (!vals.length) return null;
+    const pos = vals.filter(v => v > 0);
+    if (useLog && pos.length) return { log: true, min: Math.log10(Math.min(...pos)), max: Math.log10(Math.max(...pos)) };
+    return { log: false, min: fromZero ? Math.min(0, ...vals) : Math.min(...vals), max: Math.max(...vals) };
+}
+
+// CSS variables the canvas needs (read once per full draw, not per frame)
+function readChartTheme() {
+    const css = getComputedStyle(document.body);
+    return {
+        mono: css.getPropertyValue("--mono"),
+        text: css.getPropertyValue("--text") || "#fff",
+        muted: css.getPropertyValue("--muted") || "#ccc",
+    };
+}
+
+// Grid, per-pane axes, x labels and lines: the static layer, rendered once per
+// drawChart into an offscreen canvas (see renderChartBaseLayer / paintChart)
+function drawChartBase(ctx, L) {
+    ctx.clearRect(0, 0, L.cssW, L.cssH);
+    const { mono, text: textColor, muted: mutedColor } = L.theme;
+    ctx.font = "12px " + mono;
+
+    L.panes.forEach(p => {
+        // grid + right axis
+        ctx.textAlign = "right";
+        ctx.textBaseline = "middle";
+        ctx.strokeStyle = "rgba(255,255,255,.1)";
+        ctx.fillStyle = textColor;
+        p.ticks.forEach(t => {
+            const y = p.yAt(t);
+            if (y == null) return;
+            ctx.beginPath(); ctx.moveTo(L.x0, y); ctx.lineTo(L.x0 + L.PW, y); ctx.stroke();
+            ctx.fillText(unitAxisLabel(p.unit, t), L.x0 + L.PW + 44, y);
+        });
+
+        // pane frame + unit tag
+        ctx.strokeStyle = "rgba(255,255,255,.15)";
+        ctx.strokeRect(L.x0, p.y0, L.PW, p.PH);
+        ctx.textAlign = "left";
+        ctx.textBaseline = "top";
+        ctx.fillStyle = mutedColor;
+        ctx.font = "10px " + mono;
+        const unitName = p.unit === "rebase" ? REBASE_MODES[state.chart.rebase]?.label : CHART_UNITS[p.unit]?.label;
+        ctx.fillText(`${unitName || p.unit}${p.log ? " · log" : ""}`, L.x0 + 4, p.y0 + 2);
+        ctx.font = "12px " + mono;
+
+        // lines (or candles / volume bars), clipped to the pane
+        ctx.save();
+        ctx.beginPath(); ctx.rect(L.x0, p.y0, L.PW, p.PH); ctx.clip();
+        if (p.kind) drawCandlePane(ctx, L, p);
+        p.keys.forEach(k => {
+            const data = L.series[k] || [];
+            const { color, dash } = chartSeriesStyle(k, L.isAllMode);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            let started = false;
+            // at most ~1 point per pixel; -1 marks a gap
+            lttbIndices(data, L.from, L.to, Math.round(L.PW), v => p.yAt(v) != null).forEach(i => {
+                if (i < 0) { started = false; return; }
+                const x = L.xAt(i), y = p.yAt(data[i]);
+                if (!started) { ctx.moveTo(x, y); started = true; } else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+    });
+    ctx.setLineDash([]);
+
+    // time ticks (adapt to the zoom level): faint verticals through every pane + labels
+    ctx.fillStyle = textColor;
+    ctx.textAlign = "center"; ctx.textBaseline = "top";
+    ctx.strokeStyle = "rgba(255,255,255,.06)";
+    const ticks = chartTimeTicks(L);
+    ticks.forEach(({ x, label }) => {
+        ctx.beginPath(); ctx.moveTo(x, L.plotTop); ctx.lineTo(x, L.plotBottom); ctx.stroke();
+        const w = ctx.measureText(label).width;
+        ctx.fillText(label, Math.max(L.x0 + w / 2, Math.min(L.x0 + L.PW - w / 2, x)), L.plotBottom + 4);
+    });
+    if (!ticks.length) {
+        ctx.textAlign = "left";
+        ctx.fillText(chartXLabel(L.rows[L.from].ts, L.aligned), L.x0, L.plotBottom + 4);
+    }
+}
+
+/**
+ * Largest-Triangle-Three-Buckets over data[from..to]: indices of at most ~threshold
+ * points that keep the line's visual shape. Runs of valid values (ok(v)) are
+ * sampled separately, each getting its share of the budget; -1 separates runs so
+ * gaps stay gaps.
+ */
+function lttbIndices(data, from, to, threshold, ok = () => true) {
+    const runs = [];
+    let run = null;
+    for (let i = from; i <= to; i++) {
+        const v = data[i];
+        if (v == null || !isFinite(v) || !ok(v)) { run = null; continue; }
+        if (!run) runs.push(run = []);
+        run.push(i);
+    }
+    const total = runs.reduce((a, r) => a + r.length, 0);
+    const out = [];
+    runs.forEach(r => {
+        if (out.length) out.push(-1);
+        const budget = Math.max(3, Math.round(threshold * r.length / (total || 1)));
+        if (r.length <= budget) { out.push(...r); return; }
+
+        // first + last are kept; budget - 2 buckets in between
+        const every = (r.length - 2) / (budget - 2);
+        let a = r[0];
+        out.push(a);
+        for (let b = 0; b < budget - 2; b++) {
+            const start = Math.floor(b * every) + 1, end = Math.floor((b + 1) * every) + 1;
+            // average of the next bucket (or the last point) as the third vertex
+            const nStart = end, nEnd = Math.min(r.length, Math.floor((b + 2) * every) + 1);
+            let avgX = 0, avgY = 0;
+            for (let j = nStart; j < nEnd; j++) { avgX += r[j]; avgY += data[r[j]]; }
+            const cnt = nEnd - nStart;
+            if (cnt > 0) { avgX /= cnt; avgY /= cnt; } else { avgX = r[r.length - 1]; avgY = data[avgX]; }
+
+            let best = r[start], bestArea = -1;
+            for (let j = start; j < end; j++) {
+                const i = r[j];
+                const area = Math.abs((a - avgX) * (data[i] - data[a]) - (a - i) * (avgY - data[a]));
+                if (area > bestArea) { bestArea = area; best = i; }
+            }
+            out.push(best);
+            a = best;
+        }
+        out.push(r[r.length - 1]);
+    });
+    return out;
+}
+
+// Candles per pixel column: when more candles than ~half the width are visible,
+// consecutive ones merge into one OHLC/volume candle at the group's middle index
+function candleBuckets(L) {
+    const count = L.to - L.from + 1;
+    const per = Math.max(1, Math.ceil(count / Math.max(1, L.PW / 2)));
+    const out = [];
+    for (let s = L.from; s <= L.to; s += per) {
+        const group = L.rows.slice(s, Math.min(L.to + 1, s + per)).filter(r => r?.o != null && r?.c != null);
+        if (!group.length) continue;
+        const first = group[0], last = group[group.length - 1];
+        out.push({
+            i: per === 1 ? s : s + (Math.min(L.to, s + per - 1) - s) / 2,
+            o: first.o, c: last.c,
+            h: Math.max(...group.map(r => r.h)),
+            l: Math.min(...group.map(r => r.l)),
+            v: group.reduce((a, r) => a + (r.v || 0), 0),
+            forming: last.forming,
+        });
+    }
+    return { per, candles: out };
+}
+
+// Offscreen copy of the static layer (device pixels), redrawn only by drawChart
+function renderChartBaseLayer(L) {
+    const main = els.chart;
+    const layer = state.chart.baseLayer || (state.chart.baseLayer = document.createElement("canvas"));
+    if (layer.width !== main.width) layer.width = main.width;
+    if (layer.height !== main.height) layer.height = main.height;
+    const ctx = layer.getContext("2d");
+    ctx.setTransform(window.devicePixelRatio || 1, 0, 0, window.devicePixelRatio || 1, 0, 0);
+    drawChartBase(ctx, L);
+}
+
+// Cached base layer + overlay (brush selection, hover guide/points): what every mouse move costs
+function paintChart(L, hoverIndex = null) {
+    const ctx = els.chart.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, els.chart.width, els.chart.height);
+    if (state.chart.baseLayer) ctx.drawImage(state.chart.baseLayer, 0, 0);
+    ctx.setTransform(window.devicePixelRatio || 1, 0, 0, window.devicePixelRatio || 1, 0, 0);
+
+    // brush selection
+    const b = state.chart.brush;
+    if (b && L.n > 1) {
+        const t0 = L.rows[L.from].ts, t1 = L.rows[L.to].ts;
+        const xOf = t => L.x0 + L.PW * ((t - t0) / ((t1 - t0) || 1));
+        const xa = Math.max(L.x0, xOf(Math.min(b.aX, b.bX))), xb = Math.min(L.x0 + L.PW, xOf(Math.max(b.aX, b.bX)));
+        if (xb >= xa) {
+            ctx.fillStyle = "rgba(255, 26, 217, .12)";
+            ctx.fillRect(xa, L.plotTop, Math.max(1, xb - xa), L.plotBottom - L.plotTop);
+        }
+    }
+    if (hoverIndex == null) return;
+
+    const i = hoverIndex;
+    const px = L.xAt(i);
+
+    // guide across every pane
+    ctx.strokeStyle = "rgba(255,255,255,.4)";
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(px, L.plotTop); ctx.lineTo(px, L.plotBottom); ctx.stroke();
+
+    // points
+    L.keys.forEach(k => {
+        const val = L.series[k]?.[i];
+        if (val == null || !isFinite(val)) return;
+        const py = L.paneOf[k]?.yAt(val);
+        if (py == null) return;
+        ctx.fillStyle = chartSeriesStyle(k, L.isAllMode).color;
+        ctx.beginPath(); ctx.arc(px, py, 3, 0, Math.PI * 2); ctx.fill();
+    });
+
+    // close marker on the candle pane
+    const candlePane = L.candles && L.panes.find(p => p.kind === "candles");
+    const r = L.rows[i];
+    if (candlePane && r?.c != null) {
+        const py = candlePane.yAt(r.c);
+        if (py != null) {
+            ctx.fillStyle = "#fff";
+            ctx.beginPath(); ctx.arc(px, py, 3, 0, Math.PI * 2); ctx.fill();
+        }
+    }
+}
+
+// Candles (wick high→low, body open→close) or volume bars, colored by close vs open
+function drawCandlePane(ctx, L, p) {
+    const { per, candles } = L.candleBuckets || (L.candleBuckets = candleBuckets(L));
+    const slot = per * L.PW / Math.max(1, L.to - L.from);
+    const bodyW = Math.max(1, Math.min(12, slot * 0.7));
+    const floor = p.y0 + p.PH;
+    for (const r of candles) {
+        const x = L.xAt(r.i);
+        const color = r.c >= r.o ? CANDLE_COLORS.up : CANDLE_COLORS.down;
+        ctx.globalAlpha = r.forming ? 0.5 : 1;
+        if (p.kind === "bars") {
+            const yv = r.v > 0 || !p.log ? p.yAt(r.v ?? 0) : null;
+            if (yv == null) continue;
+            const y0 = p.log ? floor : Math.min(floor, p.yAt(0));
+            ctx.fillStyle = color;
+            ctx.globalAlpha *= 0.6;
+            ctx.fillRect(x - bodyW / 2, Math.min(yv, y0), bodyW, Math.max(1, Math.abs(y0 - yv)));
+        } else {
+            const yH = p.yAt(r.h), yL = p.yAt(r.l), yO = p.yAt(r.o), yC = p.yAt(r.c);
+            if ([yH, yL, yO, yC].some(v => v == null)) continue;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath(); ctx.moveTo(x, yH); ctx.lineTo(x, yL); ctx.stroke();
+            ctx.fillStyle = color;
+            ctx.fillRect(x - bodyW / 2, Math.min(yO, yC), bodyW, Math.max(1, Math.abs(yC - yO)));
+        }
+    }
+    ctx.globalAlpha = 1;
+}
+
+function drawChart() {
+    const canvas = els.chart;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+
+    // Hi-DPI
+    const dpr = window.devicePixelRatio || 1;
+    const cssW = canvas.clientWidth || canvas.width;
+    const cssH = canvas.clientHeight || canvas.height;
+    if (canvas.width !== Math.round(cssW * dpr) || canvas.height !== Math.round(cssH * dpr)) {
+        canvas.width = Math.round(cssW * dpr);
+        canvas.height = Math.round(cssH * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssW, cssH);
+
+    // legend reset
+    if (els.chartLegend) els.chartLegend.innerHTML = "";
+
+    // ALL-mode = overlay (unless candles are on: those show the active dataset)
+    const src = chartSource();
+    const { isAllMode } = src;
+
+    const L = (src.keys.length || src.candles) ? computeChartLayout(cssW, cssH, src) : null;
+    state.chart.layout = L;
+    if (!L) {
+        drawEmpty(ctx, cssW, cssH);
+        return bindChartHover(null);
+    }
+    L.theme = readChartTheme();
+    renderChartBaseLayer(L);
+    paintChart(L);
+    if (state.chart.brush) renderBrushStats(); // active dataset may have changed
+
+    // === Legends ===
+    renderMetricLegend(src.candles ? src.keys : getCheckedSeriesKeys()); // dash-only legend per metric
+
+    if (isAllMode && els.chartLegend) {
+        // strategy color legend
+        const stratKeys = getCheckedStrategyKeys();
+        if (stratKeys.length) {
+            const wrap = document.createElement("div");
+            wrap.style.marginTop = "6px";
+            wrap.style.display = "flex";
             wrap.style.flexWrap = "wrap";
             wrap.style.gap = "8px";
             wrap.style.alignItems = "center";
@@ -767,7 +1964,7 @@ function drawChart() {
             stratKeys.forEach(sk => {
                 const sw = document.createElement("span");
                 const color = (state.chart.strategyColors && state.chart.strategyColors[sk]) || "#fff";
-                sw.innerHTML = `<span class="swatch" style="background:${color}"></span>${sk}`;
+                sw.innerHTML = `<span class="swatch" style="background:${color}"></span>${escapeHtml(sk)}`;
                 wrap.appendChild(sw);
             });
             els.chartLegend.appendChild(wrap);
@@ -775,7 +1972,7 @@ function drawChart() {
     }
 
     // hover
-    bindChartHover(x0, y0, PW, PH, xAt, yAt, minP, maxP);
+    bindChartHover(L);
 }
 
 function drawEmpty(ctx, W, H) {
@@ -807,104 +2004,93 @@ function renderMetricLegend(metricKeys) {
     els.chartLegend.appendChild(row);
 }
 
-function formatForAxis(v, keys) {
-    // If any USD series is selected, prefer compact USD axis labels; else plain numbers
-    const hasUSD = keys.some(k => k === "mcap" || k === "breakeven_mc");
-    if (hasUSD) {
-        if (Math.abs(v) >= 100000) return Intl.NumberFormat(undefined, { notation: "compact", maximumFractionDigits: 1 }).format(v);
-        return Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(v);
-    }
-    // mixed units → generic formatting
+// Compact axis numbers: 1.2M above 100k, else up to 2 decimals
+function fmtAxisNumber(v) {
     if (Math.abs(v) >= 100000) return Intl.NumberFormat(undefined, { notation: "compact", maximumFractionDigits: 1 }).format(v);
     return Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(v);
 }
 
-function bindChartHover(x0, y0, PW, PH, xAt, yAt, min, max) {
+function bindChartHover(L) {
     const canvas = els.chart, tip = els.chartTooltip;
     if (!canvas || !tip) return;
-
-    const rows = state.chart.rows || [];
-    const isAllMode = !!(state.datasets && Object.keys(state.datasets || {}).length) && Array.isArray(state.chart.combinedKeys);
-    const keysDraw = isAllMode ? (state.chart.combinedKeys || []) : (state.chart.seriesKeys || []);
-    const series = isAllMode ? (state.chart.seriesCombined || {}) : (state.chart.series || {});
-
-    // style resolver
-    function getSeriesStyle(key) {
-        const seriesId = key.includes(":") ? key.split(":").pop() : key;
-        if (isAllMode) {
-            const strat = key.includes(":") ? key.split(":")[0] : "";
-            const color = (state.chart.strategyColors && state.chart.strategyColors[strat]) || "#fff";
-            return { color, dash: SERIES_DASH_DEF[seriesId] || [] };
-        } else {
-            const color = SINGLE_MODE_METRIC_COLORS[seriesId] || "#00E5FF";
-            return { color, dash: SERIES_DASH_DEF[seriesId] || [] };
-        }
+    if (!L) {
+        canvas.onmousemove = null;
+        canvas.onmouseleave = null;
+        tip.hidden = true;
+        return;
     }
 
-    function plainSeriesIds(keys) {
-        return keys.map(k => (k.includes(":") ? k.split(":").pop() : k));
-    }
+    const { rows, keys: keysDraw, series, isAllMode, x0, PW, plotTop, plotBottom } = L;
+    let lastIndex = null; // tooltip HTML is only rebuilt when the hovered row changes
 
     function onMove(ev) {
+        if (state.chart.drag) return; // pan / brush in progress
         const rect = canvas.getBoundingClientRect();
         const mx = ev.clientX - rect.left;
         const my = ev.clientY - rect.top;
 
-        if (mx < x0 || mx > x0 + PW || my < y0 || my > y0 + PH) {
-            tip.hidden = true;
-            drawChart();
+        if (mx < x0 || mx > x0 + PW || my < plotTop || my > plotBottom) {
+            onLeave();
             return;
         }
 
-        const n = rows.length;
-        const i = Math.max(0, Math.min(n - 1, Math.round((mx - x0) / (PW / (n - 1 || 1)))));
-
-        drawChartBaseOnly(); // base redraw
-        const ctx = canvas.getContext("2d");
-        ctx.setTransform(window.devicePixelRatio || 1, 0, 0, window.devicePixelRatio || 1, 0, 0);
-
-        const px = xAt(i);
-
-        // guide
-        ctx.strokeStyle = "rgba(255,255,255,.4)";
-        ctx.lineWidth = 1;
-        ctx.beginPath(); ctx.moveTo(px, y0); ctx.lineTo(px, y0 + PH); ctx.stroke();
-
-        // points
-        keysDraw.forEach(k => {
-            const val = series[k]?.[i];
-            if (val == null || !isFinite(val)) return;
-            const py = yAt(val);
-            const { color } = getSeriesStyle(k);
-            ctx.fillStyle = color;
-            ctx.beginPath(); ctx.arc(px, py, 3, 0, Math.PI * 2); ctx.fill();
-        });
+        // O(1): x -> row index is arithmetic on the uniform grid
+        const i = L.indexAt(mx);
+        const px = L.xAt(i);
+        if (i !== lastIndex || tip.hidden) {
+            lastIndex = i;
+            paintChart(L, i);
+            tip.innerHTML = tooltipHtml(i);
+            tip.hidden = false;
+        }
+        positionTooltip(px, my);
+    }
 
-        // tooltip
-        const dtStr = new Date(rows[i].ts * 1000).toLocaleString();
+    function tooltipHtml(i) {
+        const r = rows[i];
+        const dtStr = chartXLabel(rows[i].ts, L.aligned);
         let html = `<div class="ts"><strong>${dtStr}</strong></div>`;
+        if (L.candles && r?.c != null) {
+            const color = r.c >= r.o ? CANDLE_COLORS.up : CANDLE_COLORS.down;
+            html += `<div><span style="color:${color}">■</span> O ${fmt(r.o)} · H ${fmt(r.h)} · L ${fmt(r.l)} · C ${fmt(r.c)}</div>`;
+            html += `<div><span style="color:${color}">■</span> Volume: ${fmt(r.v)}</div>`;
+        }
+        if (isAllMode && isLaunchAligned()) {
+            // each strategy's own wall-clock time at this offset
+            getCheckedStrategyKeys().forEach(sk => {
+                const ds = state.datasets[sk];
+                if (!ds) return;
+                const color = state.chart.strategyColors?.[sk] || "#fff";
+                html += `<div class="ts"><span style="color:${color}">●</span> ${escapeHtml(sk)}: ${new Date((gridBase(ds) + rows[i].ts) * 1000).toLocaleString()}</div>`;
+            });
+        }
         keysDraw.forEach(k => {
             const val = series[k]?.[i];
             if (val == null || !isFinite(val)) return;
             const seriesId = k.includes(":") ? k.split(":").pop() : k;
             const cfg = CHART_SERIES_DEF[seriesId];
             const label = (cfg && cfg.label) ? cfg.label : seriesId;
-            const { color } = getSeriesStyle(k);
+            const { color } = chartSeriesStyle(k, isAllMode);
             const fmtFn = (cfg && cfg.fmt) ? cfg.fmt : (v => String(v));
-            html += `<div><span style="color:${color}">●</span> ${label}: ${fmtFn(val)}</div>`;
+            const rebase = isAllMode ? state.chart.rebase : null;
+            const text = rebase
+                ? `${REBASE_MODES[rebase].fmt(val)} (${fmtFn(state.chart.seriesRaw?.[k]?.[i])})`
+                : fmtFn(val);
+            html += `<div><span style="color:${color}">●</span> ${label}: ${text}</div>`;
         });
-        tip.innerHTML = html;
-        tip.hidden = false;
+        return html;
+    }
 
-        // clamp inside plot
+    // clamp inside plot
+    function positionTooltip(px, my) {
         const tipRect = tip.getBoundingClientRect();
-        const spaceAbove = (my - y0);
-        const spaceBelow = (y0 + PH) - my;
+        const spaceAbove = (my - plotTop);
+        const spaceBelow = plotBottom - my;
         let tx = px + 10;
         let ty;
         if (spaceBelow >= tipRect.height + 8) ty = my + 8;
         else if (spaceAbove >= tipRect.height + 8) ty = my - tipRect.height - 8;
-        else ty = Math.min(y0 + PH - tipRect.height - 4, Math.max(y0 + 4, my + 8));
+        else ty = Math.min(plotBottom - tipRect.height - 4, Math.max(plotTop + 4, my + 8));
         const maxLeft = (x0 + PW) - tipRect.width - 8;
         tx = Math.max(x0 + 8, Math.min(tx, maxLeft));
         tip.style.left = `${tx}px`;
@@ -912,89 +2098,16 @@ function bindChartHover(x0, y0, PW, PH, xAt, yAt, min, max) {
     }
 
     function onLeave() {
+        if (lastIndex == null && tip.hidden) return;
+        lastIndex = null;
         tip.hidden = true;
-        drawChart();
+        paintChart(L);
     }
 
     canvas.onmousemove = onMove;
     canvas.onmouseleave = onLeave;
-
-    // base redraw shared with hover
-    function drawChartBaseOnly() {
-        const ctx = canvas.getContext("2d");
-        const dpr = window.devicePixelRatio || 1;
-        const cssW = canvas.clientWidth || canvas.width;
-        const cssH = canvas.clientHeight || canvas.height;
-        if (canvas.width !== Math.round(cssW * dpr) || canvas.height !== Math.round(cssH * dpr)) {
-            canvas.width = Math.round(cssW * dpr); canvas.height = Math.round(cssH * dpr);
-        }
-        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        ctx.clearRect(0, 0, cssW, cssH);
-
-        // axes
-        const ticks = niceTicks(min, max, 6);
-        ctx.font = "12px " + getComputedStyle(document.body).getPropertyValue("--mono");
-        const pad = { top: 12, right: 56, bottom: 22, left: 8 };
-        const x0b = pad.left, y0b = pad.top;
-        const PWb = cssW - pad.left - pad.right;
-        const PHb = cssH - pad.top - pad.bottom;
-        ctx.strokeStyle = "rgba(255,255,255,.1)";
-        ctx.textAlign = "right"; ctx.textBaseline = "middle";
-        const plainKeys = plainSeriesIds(keysDraw);
-        ticks.forEach(t => {
-            const y = y0b + PHb - ((t - min) / (max - min)) * PHb;
-            ctx.beginPath(); ctx.moveTo(x0b, y); ctx.lineTo(x0b + PWb, y); ctx.stroke();
-            const label = formatForAxis(t, plainKeys);
-            ctx.fillStyle = getComputedStyle(document.body).getPropertyValue("--text") || "#fff";
-            ctx.fillText(label, x0b + PWb + 44, y);
-        });
-
-        // x labels
-        ctx.textAlign = "left"; ctx.textBaseline = "top";
-        if (rows.length > 0) {
-            const s0 = new Date(rows[0].ts * 1000).toLocaleString();
-            const s1 = new Date(rows[rows.length - 1].ts * 1000).toLocaleString();
-            ctx.fillText(s0, x0b, y0b + PHb + 4);
-            const w = ctx.measureText(s1).width;
-            ctx.fillText(s1, x0b + PWb - w, y0b + PHb + 4);
-        }
-
-        // lines
-        keysDraw.forEach(k => {
-            const data = series[k] || [];
-            const { color, dash } = getSeriesStyle(k);
-            ctx.strokeStyle = color;
-            ctx.lineWidth = 2;
-            ctx.setLineDash(dash || []);
-            ctx.beginPath();
-            let started = false;
-            for (let i = 0; i < data.length; i++) {
-                const v = data[i];
-                if (v == null || !isFinite(v)) { started = false; continue; }
-                const x = x0b + (data.length <= 1 ? 0 : (PWb * (i / (data.length - 1))));
-                const y = y0b + PHb - ((v - min) / (max - min)) * PHb;
-                if (!started) { ctx.moveTo(x, y); started = true; } else ctx.lineTo(x, y);
-            }
-            ctx.stroke();
-        });
-        ctx.setLineDash([]);
-    }
 }
 
-// Trading fee schedule:
-// minute 0 after launch: 95%
-// then -1% per minute until minute 85 reaches 10%
-// after that: flat 10%. If launchTs missing, default to 10%.
-function computeTradingFeePercent(tsSec) {
-    const launch = state.launchTs;
-    const startFee = state.startFee ?? DEFAULT_START_FEE;
-    if (!Number.isFinite(launch)) return 10;
-    const delta = tsSec - launch;
-    if (delta < 0) return startFee;
-    const minutes = Math.floor(delta / 60);
-    const fee = startFee - minutes;
-    return Math.max(10, fee);
-}
 
 
 function breakevenMultipleFromFee(pct) {
@@ -1004,6 +2117,58 @@ function breakevenMultipleFromFee(pct) {
     return 100 / denom;
 }
 
+// Round-trip inputs (Position $, Sell fee %, Gas $); blanks count as 0
+function getRoundTripParams() {
+    const num = el => {
+        const n = parseFloat(el?.value);
+        return Number.isFinite(n) && n > 0 ? n : 0;
+    };
+    return {
+        positionUSD: num(els.rtPosition),
+        sellFeePct: Math.min(100, num(els.rtSellFee)),
+        gasUSD: num(els.rtGas),
+    };
+}
+
+/**
+ * Round-trip breakeven multiple: how far the price must rise for a buy of
+ * positionUSD (paying buyFeePct) and a later sell (paying sellFeePct) to return
+ * the position plus gasUSD (both legs). Price impact assumes a constant-product
+ * pool with half of reserveUSD on each side and is ignored without a reserve or
+ * position size. null = can't break even (fees at 100%, or the exit would need
+ * more than the pool holds).
+ */
+function roundTripBreakevenMultiple(buyFeePct, { positionUSD = 0, sellFeePct = 0, gasUSD = 0, reserveUSD = null } = {}) {
+    if (buyFeePct == null || !isFinite(buyFeePct)) return null;
+    const keepBuy = 1 - buyFeePct / 100;
+    const keepSell = 1 - sellFeePct / 100;
+    if (keepBuy <= 0 || keepSell <= 0) return null;
+    if (!(positionUSD > 0)) return 1 / (keepBuy * keepSell);
+
+    const side = reserveUSD > 0 ? reserveUSD / 2 : Infinity;   // USD side of the pool
+    const afterFee = positionUSD * keepBuy;
+    const held = Number.isFinite(side) ? afterFee * side / (side + afterFee) : afterFee; // spot value bought
+    const needOut = (positionUSD + gasUSD) / keepSell;          // proceeds needed before the sell fee
+    if (Number.isFinite(side) && needOut >= side) return null;
+    const exitValue = Number.isFinite(side) ? needOut * side / (side - needOut) : needOut; // spot value to sell
+    return exitValue / held;
+}
+
+// Liquidity the position trades against: the chosen pool, or all merged pools
+function datasetReserveUSD(ds) {
+    const pools = ds?.sourcePools?.length ? ds.sourcePools : [ds?.chosenPool].filter(Boolean);
+    const sum = pools.reduce((acc, p) => acc + (Number(p.reserveUSD) || 0), 0);
+    return sum > 0 ? sum : null;
+}
+
+// Round-trip inputs changed: recompute the table + chart from the loaded rows
+function refreshRoundTrip() {
+    const ds = activeDataset();
+    if (!ds) return;
+    renderRows(ds.rows || []);
+    rebuildChartFromControls();
+}
+
 function fmtPercent(p) {
     if (p == null || !isFinite(p)) return "—";
     // whole percent display (e.g., 95%, 10%)
@@ -1019,11 +2184,11 @@ function fmtMultiple(x) {
 
 async function prefillStartFromLaunch() {
     if (!els.startAtLaunch?.checked) return;
-    const contract = getSelectedContract();
-    if (!contract) return;
+    const sel = getSelectedToken();
+    if (!sel) return;
     try {
-        const json = await fetchTokenWithTopPools(FIXED_NETWORK, contract);
-        const launchTs = computeLaunchTsFromTokenJson(json);
+        const json = await fetchTokenWithTopPools(sel.network, sel.address, undefined, { owner: sel.key });
+        const launchTs = resolveLaunch(json, { override: getLaunchOverride(sel.key) }).ts;
         if (launchTs) {
             state.launchTs = launchTs;
             els.start.value = dateToLocalInput(new Date(launchTs * 1000));
@@ -1031,12 +2196,30 @@ async function prefillStartFromLaunch() {
     } catch (_) { /* ignore prefill errors */ }
 }
 
-function computeLaunchTsFromTokenJson(tokenJson) {
-    const pools = (tokenJson?.included || []).filter(x => x.type === "pool");
-    const tsList = pools
-        .map(p => Date.parse(p.attributes?.pool_created_at || "") / 1000)
-        .filter((x) => Number.isFinite(x));
-    return tsList.length ? Math.min(...tsList) : null;
+/**
+ * Launch resolution. Candidates are every pool's creation time plus the first
+ * non-empty candle (pass `candles` only when they reach back to launch).
+ * A pinned override wins; otherwise the earliest candidate.
+ * Returns { ts, source, candidates: [{ ts, source }] } (ts/source null if unknown).
+ */
+function resolveLaunch(token, { candles = null, override = null } = {}) {
+    const candidates = [];
+    for (const p of token?.pools || []) {
+        const ts = Math.floor(Date.parse(p.createdAtISO || "") / 1000);
+        if (Number.isFinite(ts)) {
+            candidates.push({ ts, source: `pool ${p.name || shortAddr(p.address)}${p.dexName ? ` (${p.dexName})` : ""}` });
+        }
+    }
+    const first = (candles || []).find(k => k.v > 0);
+    if (first) candidates.push({ ts: first.ts, source: "first non-empty candle" });
+    candidates.sort((a, b) => a.ts - b.ts);
+    return pickLaunch(candidates, override);
+}
+
+function pickLaunch(candidates, override) {
+    if (Number.isFinite(override)) return { ts: override, source: "pinned override", candidates };
+    const best = candidates[0];
+    return { ts: best?.ts ?? null, source: best?.source ?? null, candidates };
 }
 
 async function copyTextToClipboard(text) {
@@ -1072,10 +2255,18 @@ function shortAddr(addr) {
     return a.length > 12 ? `${a.slice(0, 6)}…${a.slice(-4)}` : a;
 }
 
-function getSelectedContract() {
+// Selected single token: { key, network, address } (null for COMPARE ALL / no address)
+function getSelectedToken() {
     const key = (els.strategy?.value || "").trim();
     if (key === "__ALL__") return null; // special all-mode
-    return STRATEGIES[key] || null;
+    if (key === "__CUSTOM__") {
+        const address = (els.customAddress?.value || "").trim();
+        if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return null;
+        const network = els.customNetwork?.value || DEFAULT_NETWORK;
+        return { key: `${network}:${normAddr(address)}`, network, address };
+    }
+    const entry = getStrategy(key);
+    return entry ? { key, network: entry.network, address: entry.address } : null;
 }
 
 function numOrNull(x) {
@@ -1094,7 +2285,8 @@ function normalizeFromTotal(totalSupplyRaw, decimals) {
 }
 
 /**
- * Pick a supply (tokens) for historical Market Cap = price_usd_at_ts × supply.
+ * Snapshot supply (tokens) from the token's current attributes -> { supply, basis }
+ * (basis names the attribute used; null supply if nothing usable).
  * Priority:
  *   1) normalized_circulating_supply (if present)
  *   2) circulating_supply (assumed normalized)
@@ -1108,28 +2300,28 @@ function deriveSupplyForMcap(tokenAttrs, refPrice) {
     const dec = tokenAttrs?.decimals;
 
     const normCirc = numOrNull(tokenAttrs?.normalized_circulating_supply);
-    if (normCirc != null && normCirc > 0) return normCirc;
+    if (normCirc != null && normCirc > 0) return { supply: normCirc, basis: "circulating" };
 
     const circ = numOrNull(tokenAttrs?.circulating_supply);
-    if (circ != null && circ > 0) return circ;
+    if (circ != null && circ > 0) return { supply: circ, basis: "circulating" };
 
     const normTotal = numOrNull(tokenAttrs?.normalized_total_supply);
-    if (normTotal != null && normTotal > 0) return normTotal;
+    if (normTotal != null && normTotal > 0) return { supply: normTotal, basis: "total" };
 
     const totalRaw = tokenAttrs?.total_supply; // raw base units (string/number)
     const normFromRaw = normalizeFromTotal(totalRaw, dec);
-    if (normFromRaw != null && normFromRaw > 0) return normFromRaw;
+    if (normFromRaw != null && normFromRaw > 0) return { supply: normFromRaw, basis: "total" };
 
     // Fallbacks (need price)
     if (price && price > 0) {
         const mcap = numOrNull(tokenAttrs?.market_cap_usd);
-        if (mcap != null && mcap > 0) return mcap / price;
+        if (mcap != null && mcap > 0) return { supply: mcap / price, basis: "mcap ÷ price" };
 
         const fdv = numOrNull(tokenAttrs?.fdv_usd);
-        if (fdv != null && fdv > 0) return fdv / price;
+        if (fdv != null && fdv > 0) return { supply: fdv / price, basis: "FDV ÷ price" };
     }
 
-    return null;
+    return { supply: null, basis: null };
 }
 
 
@@ -1140,6 +2332,12 @@ function fmtUSD(n, maxDp = 2) {
     return Intl.NumberFormat(undefined, { style: "currency", currency: "USD", maximumFractionDigits: maxDp }).format(num);
 }
 
+// 1234567 -> "1.23M" (token amounts)
+function fmtCompact(n) {
+    if (n == null || !isFinite(n)) return "—";
+    return Intl.NumberFormat(undefined, { notation: "compact", maximumFractionDigits: 2 }).format(n);
+}
+
 function humanAge(fromTsSec) {
     if (!fromTsSec) return "—";
     const ms = Date.now() - fromTsSec * 1000;
@@ -1173,66 +2371,184 @@ function fmt(n, dp = 8) {
 function setStatus(t, busy = false) {
     els.status.textContent = t;
     els.load.disabled = busy;
-    els.stop.disabled = !busy;
+    els.stop.disabled = !busy && !LIVE.timer; // Stop also ends live polling
     els.status.classList.toggle("busy", !!busy);
 }
 
-function normAddr(a) { return (a || "").toLowerCase(); }
+// "Loading PunkStrategy… page 2/5 (1,850 candles)"
+function pagingStatus(label, { page, pages, candles }) {
+    if (pages <= 1) return `Loading ${label}…`;
+    return `Loading ${label}… page ${page}/${pages} (${candles.toLocaleString()} candles)`;
+}
 
-async function gtFetch(path, { signal } = {}) {
-    // count this API request
-    apiRateRecord(1);
+// Provider strings (pool/token names) before they go into innerHTML
+function escapeHtml(str) {
+    return String(str ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
 
-    const res = await fetch(`${API_ROOT}${path}`, {
-        signal,
-        headers: { "accept": "application/json" }
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status} ${path}`);
-    return res.json();
+function normAddr(a) { return (a || "").toLowerCase(); }
+
+function httpError(res, what) {
+    const err = new Error(`HTTP ${res.status} ${what}`);
+    err.status = res.status;
+    return err;
 }
 
-async function fetchTokenWithTopPools(network, tokenAddress, signal) {
-    const include = "top_pools";
-    const path = `/networks/${encodeURIComponent(network)}/tokens/${encodeURIComponent(tokenAddress)}?include=${include}`;
-    const json = await gtFetch(path, { signal });
-    return json; // { data: token, included: [pools] }
+// GeckoTerminal-style GET. `queued` routes it through the rate-limit queue + retry
+// (public API); mirrors/fixtures are fetched directly.
+async function gtFetch(path, { signal, root = API_ROOT, queued = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        // queue until the rolling window has room (counts this API request)
+        if (queued) await apiRateAcquire(signal);
+
+        const res = await fetch(`${root}${path}`, {
+            signal,
+            headers: { "accept": "application/json" }
+        });
+        if (res.ok) return res.json();
+
+        const retriable = res.status === 429 || res.status >= 500;
+        if (!queued || !retriable || attempt >= API_RETRY.maxRetries) throw httpError(res, path);
+
+        // exponential backoff with a little jitter; the server's Retry-After wins, up to maxMs
+        const backoff = Math.min(API_RETRY.maxMs, API_RETRY.baseMs * 2 ** attempt) * (0.8 + Math.random() * 0.4);
+        const retryAfter = retryAfterMs(res);
+        const delay = retryAfter == null ? backoff : Math.min(retryAfter, API_RETRY.maxMs);
+        API_RATE.backingOff++;
+        apiRateRender();
+        try {
+            await sleep(delay, signal);
+        } finally {
+            API_RATE.backingOff--;
+            apiRateRender();
+        }
+    }
 }
 
-function pickMostLiquidPool(tokenJson, tokenAddress) {
-    const data = tokenJson?.included?.filter(x => x.type === "pool") || [];
-    if (!data.length) return null;
+// ==== Market-data providers ====
+/**
+ * A provider maps (network, token | pool) to provider-neutral shapes:
+ *   token(network, address, { signal }) -> { attrs, pools }
+ *     attrs: name, symbol, address, decimals, total_supply, normalized_total_supply,
+ *            circulating_supply, normalized_circulating_supply, price_usd,
+ *            market_cap_usd, fdv_usd, total_reserve_in_usd, volume_usd.h24
+ *     pools: Array<{ address, name, dexName, reserveUSD, volume24hUSD,
+ *                    createdAtISO, baseAddress, quoteAddress }>
+ *   ohlcv({ network, poolAddress, timeframe, aggregate, limit, beforeTs, side, includeEmpty, signal })
+ *     -> Array<{ ts, o, h, l, c, v }> (any order; candles strictly before beforeTs)
+ *   supplyHistory(network, address, { signal })   (optional)
+ *     -> Array<{ ts, supply }> token supply over time
+ *   search(query, { network, signal })
+ *     -> Array<{ network, address, name, symbol, poolAddress, poolName, dexName, reserveUSD }>
+ * `queued` providers share the GeckoTerminal rate limit (API meter + queue + 429/5xx retry);
+ * a mirror usually proxies the same upstream limit, so only local fixtures skip it.
+ */
+const PROVIDER_KINDS = {
+    geckoterminal: {
+        label: "GeckoTerminal Public API",
+        create: () => createGeckoTerminalProvider({ id: "geckoterminal", root: API_ROOT, queued: true }),
+    },
+    mirror: {
+        label: "GeckoTerminal-compatible URL",
+        defaultUrl: "http://localhost:8787/api/v2",
+        create: url => createGeckoTerminalProvider({ id: `mirror:${url}`, root: url, queued: true }),
+    },
+    local: {
+        label: "Local JSON fixtures",
+        defaultUrl: "./fixtures",
+        create: url => createFixtureProvider({ id: `local:${url}`, root: url }),
+    },
+};
 
-    // Sort by reserve_in_usd desc (fallback 24h volume)
-    data.sort((a, b) => {
-        const ra = Number(a.attributes?.reserve_in_usd || 0);
-        const rb = Number(b.attributes?.reserve_in_usd || 0);
-        if (rb !== ra) return rb - ra;
-        const va = Number(a.attributes?.volume_usd?.h24 || 0);
-        const vb = Number(b.attributes?.volume_usd?.h24 || 0);
-        return vb - va;
-    });
+const PROVIDER_STORAGE_KEY = "strategy-utils.provider";
 
-    const pool = data[0];
-    const baseId = pool?.relationships?.base_token?.data?.id || "";
-    const quoteId = pool?.relationships?.quote_token?.data?.id || "";
-    const base = { address: (baseId.includes("_") ? baseId.split("_")[1] : baseId) };
-    const quote = { address: (quoteId.includes("_") ? quoteId.split("_")[1] : quoteId) };
+// GeckoTerminal token attributes kept in the neutral `attrs`
+const TOKEN_ATTR_KEYS = [
+    "name", "symbol", "address", "decimals",
+    "total_supply", "normalized_total_supply", "circulating_supply", "normalized_circulating_supply",
+    "price_usd", "market_cap_usd", "fdv_usd", "total_reserve_in_usd", "volume_usd",
+];
 
-    const t = normAddr(tokenAddress);
-    const side = normAddr(quote.address) === t ? "quote" : "base";
+// "eth_0xabc…" -> "0xabc…"
+function gtIdToAddress(id) {
+    const s = id || "";
+    return s.includes("_") ? s.slice(s.lastIndexOf("_") + 1) : s;
+}
 
-    return {
-        poolAddress: pool.attributes?.address,
-        reserveUSD: Number(pool.attributes?.reserve_in_usd || 0),
-        dexName: pool.attributes?.dex_name || "—",
-        base, quote, side,
-        createdAtISO: pool.attributes?.pool_created_at || null
-    };
+// "polygon_pos_0xabc" -> "polygon_pos"
+function gtIdToNetwork(id) {
+    const s = id || "";
+    return s.includes("_") ? s.slice(0, s.lastIndexOf("_")) : null;
 }
 
+// GeckoTerminal /tokens/{address}?include=top_pools -> { attrs, pools }
+function parseGtToken(json) {
+    const a = json?.data?.attributes || {};
+    const attrs = {};
+    TOKEN_ATTR_KEYS.forEach(k => { if (a[k] !== undefined) attrs[k] = a[k]; });
+
+    const pools = (json?.included || []).filter(x => x.type === "pool").map(p => ({
+        address: p.attributes?.address,
+        name: p.attributes?.name || null,
+        dexName: p.attributes?.dex_name || p.relationships?.dex?.data?.id || "—",
+        reserveUSD: Number(p.attributes?.reserve_in_usd || 0),
+        volume24hUSD: Number(p.attributes?.volume_usd?.h24 || 0),
+        createdAtISO: p.attributes?.pool_created_at || null,
+        baseAddress: gtIdToAddress(p.relationships?.base_token?.data?.id),
+        quoteAddress: gtIdToAddress(p.relationships?.quote_token?.data?.id),
+    }));
+    return { attrs, pools };
+}
 
-// Step 2: OHLCV for pool
-async function fetchOHLCV({ network, poolAddress, timeframe, aggregate, limit, beforeTs, side, signal, includeEmpty }) {
+// GeckoTerminal OHLCV response -> candles
+function parseGtOhlcv(json) {
+    const list = json?.data?.attributes?.ohlcv_list || [];
+    // Each entry: [timestamp, open, high, low, close, volume]
+    return list.map(a => ({
+        ts: a[0], o: a[1], h: a[2], l: a[3], c: a[4], v: a[5]
+    }));
+}
+
+/**
+ * GeckoTerminal /search/pools (include=base_token,quote_token,dex) -> one result per
+ * token: { network, address, name, symbol, poolAddress, poolName, dexName, reserveUSD },
+ * using its most liquid matching pool. The token is the pool side that matches the
+ * query (base when neither does, unless `strict`, which drops the pool: fixtures).
+ */
+function parseGtSearch(json, query, { strict = false } = {}) {
+    const q = String(query || "").trim().toLowerCase();
+    const tokens = new Map();
+    (json?.included || []).filter(x => x.type === "token").forEach(t => tokens.set(t.id, t.attributes || {}));
+    const dexes = new Map();
+    (json?.included || []).filter(x => x.type === "dex").forEach(d => dexes.set(d.id, d.attributes?.name));
+
+    const matches = t => !!t && [t.address, t.symbol, t.name].some(v => v && String(v).toLowerCase().includes(q));
+    const byToken = new Map();
+    (json?.data || []).forEach(p => {
+        const baseId = p.relationships?.base_token?.data?.id;
+        const quoteId = p.relationships?.quote_token?.data?.id;
+        const side = matches(tokens.get(baseId)) ? baseId : matches(tokens.get(quoteId)) ? quoteId : strict ? null : baseId;
+        if (!side) return;
+        const t = tokens.get(side) || {};
+        const network = p.relationships?.network?.data?.id || gtIdToNetwork(p.id) || gtIdToNetwork(side);
+        const address = t.address || gtIdToAddress(side);
+        const dexId = p.relationships?.dex?.data?.id;
+        const r = {
+            network, address,
+            name: t.name || null,
+            symbol: t.symbol || null,
+            poolAddress: p.attributes?.address || gtIdToAddress(p.id),
+            poolName: p.attributes?.name || null,
+            dexName: dexes.get(dexId) || dexId || null,
+            reserveUSD: Number(p.attributes?.reserve_in_usd || 0),
+        };
+        const key = `${network}:${normAddr(address)}`;
+        if (!byToken.has(key) || byToken.get(key).reserveUSD < r.reserveUSD) byToken.set(key, r);
+    });
+    return [...byToken.values()].sort((a, b) => b.reserveUSD - a.reserveUSD);
+}
+
+function gtOhlcvQuery({ aggregate, limit, beforeTs, side, includeEmpty }) {
     const params = new URLSearchParams();
     params.set("aggregate", String(aggregate));
     params.set("limit", String(limit));
@@ -1240,95 +2556,841 @@ async function fetchOHLCV({ network, poolAddress, timeframe, aggregate, limit, b
     params.set("currency", "usd");
     if (includeEmpty) params.set("include_empty_intervals", "true");
     if (side === "quote" || side === "base") params.set("token", side);
+    return params.toString();
+}
 
-    const path = `/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?${params.toString()}`;
-    const json = await gtFetch(path, { signal });
-    const list = json?.data?.attributes?.ohlcv_list || [];
-    // Each entry: [timestamp, open, high, low, close, volume]
-    return list.map(a => ({
-        ts: a[0], o: a[1], h: a[2], l: a[3], c: a[4], v: a[5]
-    }));
+// GeckoTerminal API (public root, or a self-hosted proxy/mirror with the same paths)
+function createGeckoTerminalProvider({ id, root, queued }) {
+    const get = (path, signal) => gtFetch(path, { signal, root, queued });
+    return {
+        id, root, queued,
+        async token(network, address, { signal } = {}) {
+            const path = `/networks/${encodeURIComponent(network)}/tokens/${encodeURIComponent(address)}?include=top_pools`;
+            return parseGtToken(await get(path, signal));
+        },
+        async ohlcv({ network, poolAddress, timeframe, signal, ...query }) {
+            const path = `/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?${gtOhlcvQuery(query)}`;
+            return parseGtOhlcv(await get(path, signal));
+        },
+        async search(query, { network, signal } = {}) {
+            const params = new URLSearchParams({ query, include: "base_token,quote_token,dex" });
+            if (network) params.set("network", network);
+            return parseGtSearch(await get(`/search/pools?${params}`, signal), query);
+        },
+    };
 }
 
-// Client-side 10m aggregation from 1m candles
-function aggregateTo10m(oneMin) {
-    // Group by floor(ts/600)*600
-    const buckets = new Map();
-    for (const k of oneMin) {
-        const key = Math.floor(k.ts / 600) * 600;
-        const b = buckets.get(key);
-        if (!b) {
-            buckets.set(key, { ts: key, o: k.o, h: k.h, l: k.l, c: k.c, v: k.v, firstTs: k.ts, lastTs: k.ts });
-        } else {
-            b.h = Math.max(b.h, k.h);
-            b.l = Math.min(b.l, k.l);
-            // choose open of earliest, close of latest
-            if (k.ts < b.firstTs) { b.o = k.o; b.firstTs = k.ts; }
-            if (k.ts > b.lastTs) { b.c = k.c; b.lastTs = k.ts; }
-            b.v += k.v;
-        }
-    }
-    return Array.from(buckets.values()).sort((a, b) => a.ts - b.ts);
+/**
+ * Saved GeckoTerminal responses on a static path (see fixtures/README.md):
+ *   {root}/{network}/tokens/{address}.json
+ *   {root}/{network}/pools/{pool}/ohlcv/{timeframe}_{aggregate}_{side}.json
+ *   {root}/search/pools.json   (one saved /search/pools response, matched locally)
+ *   {root}/{network}/supply/{address}.json   (optional: [{ ts, supply }] supply history)
+ * Addresses are lowercase. OHLCV paging (limit/before) and search are applied locally.
+ */
+function createFixtureProvider({ id, root }) {
+    const get = (path, signal) => gtFetch(path, { signal, root, queued: false });
+    return {
+        id, root, queued: false,
+        async token(network, address, { signal } = {}) {
+            return parseGtToken(await get(`/${network}/tokens/${normAddr(address)}.json`, signal));
+        },
+        async ohlcv({ network, poolAddress, timeframe, aggregate, limit, beforeTs, side, signal }) {
+            const path = `/${network}/pools/${normAddr(poolAddress)}/ohlcv/${timeframe}_${aggregate}_${side || "base"}.json`;
+            return parseGtOhlcv(await get(path, signal))
+                .filter(k => !beforeTs || k.ts < beforeTs)
+                .sort((a, b) => b.ts - a.ts)
+                .slice(0, limit);
+        },
+        async supplyHistory(network, address, { signal } = {}) {
+            const list = await get(`/${network}/supply/${normAddr(address)}.json`, signal);
+            return (Array.isArray(list) ? list : [])
+                .map(p => ({ ts: Number(p.ts), supply: Number(p.supply) }))
+                .filter(p => Number.isFinite(p.ts) && p.supply > 0);
+        },
+        async search(query, { network, signal } = {}) {
+            return parseGtSearch(await get("/search/pools.json", signal), query, { strict: true })
+                .filter(r => !network || r.network === network);
+        },
+    };
 }
 
-function updateInfoBarFromToken(tokenJson, chosenPool) {
-    const token = tokenJson?.data?.attributes || {};
-    // Earliest pool_created_at among included pools (proxy for “launch” on GT)
-    const pools = (tokenJson?.included || []).filter(x => x.type === "pool");
-    const tsList = pools
-        .map(p => Date.parse(p.attributes?.pool_created_at || "") / 1000 || Infinity)
-        .filter(x => Number.isFinite(x));
-    const launchTs = tsList.length ? Math.min(...tsList) : (chosenPool?.createdAtISO ? Math.floor(Date.parse(chosenPool.createdAtISO) / 1000) : null);
-    state.launchTs = launchTs; // remember for “At Launch”
+// Activate a provider kind (+ base URL for mirror/local) and remember the choice
+function setProvider(kind, url) {
+    const def = PROVIDER_KINDS[kind] || PROVIDER_KINDS.geckoterminal;
+    const k = PROVIDER_KINDS[kind] ? kind : "geckoterminal";
+    const base = def.defaultUrl ? (String(url || "").trim() || def.defaultUrl).replace(/\/+$/, "") : null;
+    state.provider = def.create(base);
+    state.providerKind = k;
+    state.providerUrl = base;
+    try { localStorage.setItem(PROVIDER_STORAGE_KEY, JSON.stringify({ kind: k, url: base })); } catch (_) { }
+    renderProviderControls();
+}
 
-    const mcap = token.market_cap_usd ?? null;
-    const fdv = token.fdv_usd ?? null;
-    const mcapText = mcap != null ? fmtUSD(mcap) : (fdv != null ? `${fmtUSD(fdv)} (FDV)` : "—");
+function renderProviderControls() {
+    if (!els.providerKind) return;
+    const def = PROVIDER_KINDS[state.providerKind];
+    els.providerKind.value = state.providerKind;
+    els.providerUrl.hidden = !def.defaultUrl;
+    els.providerUrl.value = state.providerUrl || "";
+    els.providerUrl.placeholder = def.defaultUrl || "";
+    els.provider.title = state.provider.root;
+}
 
-    els.ti.name.textContent = token.name || "—";
-    els.ti.symbol.textContent = token.symbol || "—";
-    els.ti.launch.textContent = launchTs ? new Date(launchTs * 1000).toLocaleString() : "—";
-    els.ti.age.textContent = humanAge(launchTs);
-    els.ti.liq.textContent = fmtUSD(token.total_reserve_in_usd ?? chosenPool?.reserveUSD ?? null);
-    els.ti.vol24.textContent = fmtUSD(token.volume_usd?.h24 ?? null);
-    els.ti.mcap.textContent = mcapText;
+function initProviderControls() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(PROVIDER_STORAGE_KEY) || "null"); } catch (_) { }
+    if (els.providerKind) {
+        els.providerKind.innerHTML = "";
+        Object.entries(PROVIDER_KINDS).forEach(([k, def]) => {
+            const opt = document.createElement("option");
+            opt.value = k;
+            opt.textContent = def.label;
+            els.providerKind.appendChild(opt);
+        });
+        els.providerKind.addEventListener("change", () => setProvider(els.providerKind.value, ""));
+        els.providerUrl.addEventListener("change", () => setProvider(state.providerKind, els.providerUrl.value));
+    }
+    setProvider(saved?.kind || "geckoterminal", saved?.url);
+}
 
-    // Show selected contract + actions
-    const selectedAddr = getSelectedContract();
-    const short = shortAddr(selectedAddr);
-    els.ti.contract.textContent = short;
-    els.ti.contract.title = selectedAddr || "—";
+async function fetchTokenWithTopPools(network, tokenAddress, signal, { fresh = false, owner = null } = {}) {
+    // short-lived cache: token attrs (mcap, liquidity) move, pool list rarely does
+    const key = `${state.provider.id}/${network}/${normAddr(tokenAddress)}`;
+    if (!fresh) {
+        const hit = await cacheGet("tokens", key);
+        if (hit && Date.now() - hit.fetchedAt < CACHE.tokenTtlMs) return hit.token;
+    }
 
-    // Enable/hide buttons depending on availability
-    const hasAddr = !!selectedAddr;
-    els.ti.copyContract.hidden = !hasAddr;
-    els.ti.copyContract.disabled = !hasAddr;
+    const token = await state.provider.token(network, tokenAddress, { signal });
+    // keep the strategy that first cached it when a caller has no owner to give
+    const prev = owner ? null : await cacheGet("tokens", key);
+    await cachePut("tokens", { key, owner: owner || prev?.owner || null, token, fetchedAt: Date.now() });
+    return token; // { attrs, pools }
+}
 
-    // Etherscan (fixed to Ethereum mainnet)
-    els.ti.scanLink.href = hasAddr ? `https://etherscan.io/token/${selectedAddr}` : "#";
-    els.ti.scanLink.target = "_blank";
-    els.ti.scanLink.rel = "noopener";
-    els.ti.scanLink.hidden = !hasAddr;
+function pickMostLiquidPool(token, tokenAddress) {
+    const data = (token?.pools || []).slice();
+    if (!data.length) return null;
 
-    els.ti.wrap.hidden = false;
+    // Sort by reserve desc (fallback 24h volume)
+    data.sort((a, b) => {
+        if (b.reserveUSD !== a.reserveUSD) return b.reserveUSD - a.reserveUSD;
+        return b.volume24hUSD - a.volume24hUSD;
+    });
+
+    return poolChoice(data[0], tokenAddress);
 }
 
-function renderRows(rows) {
-    els.tbody.innerHTML = "";
-    const supply = state.mcapSupply; // tokens (may be null)
-    const frag = document.createDocumentFragment();
+// Pinned pool if it is still listed for the token, else the most liquid one
+function pickPool(token, tokenAddress, pinnedAddr) {
+    if (pinnedAddr) {
+        const pool = (token?.pools || []).find(p => normAddr(p.address) === normAddr(pinnedAddr));
+        if (pool) return { ...poolChoice(pool, tokenAddress), pinned: true };
+    }
+    return pickMostLiquidPool(token, tokenAddress);
+}
 
-    rows.forEach((r, idx) => {
-        // Market cap at this timestamp (close * supply)
-        const mcap = (supply != null && r?.c != null) ? r.c * supply : null;
+// Neutral pool -> the "chosen pool" shape used by loaders (side = where the token sits)
+function poolChoice(pool, tokenAddress) {
+    const base = { address: pool.baseAddress || "" };
+    const quote = { address: pool.quoteAddress || "" };
 
-        // Trading fee + breakeven
-        const feePct = computeTradingFeePercent(r.ts);
-        const bMultiple = breakevenMultipleFromFee(feePct);
-        const bMC = (bMultiple != null && mcap != null) ? (bMultiple * mcap) : null;
+    const t = normAddr(tokenAddress);
+    const side = normAddr(quote.address) === t ? "quote" : "base";
+
+    return {
+        poolAddress: pool.address,
+        reserveUSD: pool.reserveUSD,
+        dexName: pool.dexName || "—",
+        base, quote, side,
+        createdAtISO: pool.createdAtISO || null,
+        pinned: false
+    };
+}
+
+// ==== Multi-pool mode (weighted price, summed volume) ====
+// Pools with at least minShare of the token's total reserve (max maxPools) count as significant.
+const MULTI_POOL = {
+    minShare: 0.05,
+    maxPools: 5,
+};
+
+// null = off, else the weighting: "reserve" (pool reserve) | "volume" (candle volume)
+function getMultiPoolMode() {
+    if (!els.multiPool?.checked) return null;
+    return els.multiPoolWeight?.value === "volume" ? "volume" : "reserve";
+}
+
+// Significant pools as chosen-pool shapes; the primary (pinned / most liquid) pool always included
+function significantPools(token, tokenAddress, chosen) {
+    const pools = (token?.pools || []).slice().sort((a, b) => b.reserveUSD - a.reserveUSD);
+    const total = pools.reduce((sum, p) => sum + (p.reserveUSD || 0), 0);
+    const out = pools
+        .filter(p => total > 0 && p.reserveUSD >= total * MULTI_POOL.minShare)
+        .slice(0, MULTI_POOL.maxPools)
+        .map(p => poolChoice(p, tokenAddress));
+    if (!out.some(p => normAddr(p.poolAddress) === normAddr(chosen.poolAddress))) out.unshift(chosen);
+    return out;
+}
+
+/**
+ * Merge per-pool candles onto one time grid.
+ *   prices (o/h/l/c): weighted mean over the pools with a candle at that ts
+ *     "reserve" -> weight = pool reserveUSD
+ *     "volume"  -> weight = that candle's volume (falls back to reserve when the row has none)
+ *   volume: summed
+ * Each row lists the pools that made it up in `pools` (addresses).
+ */
+function mergePoolCandles(perPool, mode = "reserve") {
+    const byTs = new Map();
+    perPool.forEach(({ source, candles }) => {
+        candles.forEach(k => {
+            if (k.c == null || !isFinite(k.c)) return;
+            const list = byTs.get(k.ts) || [];
+            list.push({ k, source });
+            byTs.set(k.ts, list);
+        });
+    });
+
+    const rows = [];
+    Array.from(byTs.keys()).sort((a, b) => a - b).forEach(ts => {
+        const list = byTs.get(ts);
+        const reserveW = list.map(e => e.source.reserveUSD || 0);
+        let w = mode === "volume" ? list.map(e => Number(e.k.v) || 0) : reserveW;
+        if (!w.some(x => x > 0)) w = reserveW;
+        if (!w.some(x => x > 0)) w = list.map(() => 1);
+        const wSum = w.reduce((a, b) => a + b, 0);
+        const avg = f => list.reduce((acc, e, i) => acc + w[i] * Number(e.k[f] ?? e.k.c), 0) / wSum;
+
+        rows.push({
+            ts,
+            o: avg("o"), h: avg("h"), l: avg("l"), c: avg("c"),
+            v: list.reduce((acc, e) => acc + (Number(e.k.v) || 0), 0),
+            pools: list.map(e => e.source.poolAddress),
+        });
+    });
+    return rows;
+}
+
+// Table cell for the row's pools: DEX names, full pool names in the tooltip
+function poolsCellHtml(r) {
+    if (!r.pools?.length) return "—";
+    const ds = state.datasets?.[state.activeTableKey] || state.singleDataset;
+    const byAddr = new Map((ds?.pools || []).map(p => [normAddr(p.address), p]));
+    const pools = r.pools.map(a => byAddr.get(normAddr(a)) || { address: a });
+    const title = pools.map(p => `${p.name || p.address} (${p.dexName || "?"})`).join("\n");
+    return `<span title="${escapeHtml(title)}">${pools.length}: ${escapeHtml(pools.map(p => p.dexName || shortAddr(p.address)).join(" + "))}</span>`;
+}
 
+// ==== Strategy registry (localStorage) ====
+// One ordered list of { name, network, address, feeSchedule, enabled } drives the
+// Strategy <select>, COMPARE ALL and the per-strategy fee schedule.
+const REGISTRY_STORAGE_KEY = "strategy-utils.registry";
+const STRATEGY_ADDRESS_RE = /^0x[0-9a-fA-F]{40}$/;
+
+// Validate + normalize one list (throws with a readable reason; used for import too)
+function normalizeRegistry(list) {
+    if (!Array.isArray(list)) throw new Error("Expected a JSON array of strategies");
+    const seen = new Set();
+    return list.map((e, i) => {
+        const where = `Entry ${i + 1}`;
+        const name = String(e?.name ?? "").trim();
+        if (!name) throw new Error(`${where}: name is required`);
+        if (name.startsWith("__")) throw new Error(`${where}: name can't start with "__"`);
+        if (seen.has(name)) throw new Error(`${where}: duplicate name "${name}"`);
+        seen.add(name);
+        const address = String(e.address ?? "").trim();
+        if (!STRATEGY_ADDRESS_RE.test(address)) throw new Error(`${name}: address must be 0x + 40 hex`);
+        const network = String(e.network ?? DEFAULT_NETWORK).trim();
+        if (!/^[a-z0-9_-]+$/.test(network)) throw new Error(`${name}: invalid network "${network}"`);
+        // older exports carry a bare startFee
+        const fee = { ...(e.startFee != null ? { startFee: e.startFee } : {}), ...(e.feeSchedule || {}) };
+        const feeSchedule = normalizeFeeSchedule(fee, name);
+        return { name, network, address, feeSchedule, enabled: e.enabled !== false };
+    });
+}
+
+function loadRegistry() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(REGISTRY_STORAGE_KEY) || "null");
+        if (saved) return normalizeRegistry(saved);
+    } catch (err) {
+        console.warn("Ignoring saved strategy registry:", err);
+    }
+    return normalizeRegistry(DEFAULT_REGISTRY);
+}
+
+function saveRegistry(list) {
+    state.registry = list;
+    try { localStorage.setItem(REGISTRY_STORAGE_KEY, JSON.stringify(list)); } catch (_) { }
+    renderStrategyOptions();
+    renderRegistryEditor();
+}
+
+function getStrategy(name) {
+    return state.registry.find(e => e.name === name) || null;
+}
+
+function enabledStrategyNames() {
+    return state.registry.filter(e => e.enabled).map(e => e.name);
+}
+
+// Strategy <select>: COMPARE ALL, enabled strategies (registry order), Custom token…
+function renderStrategyOptions() {
+    const sel = els.strategy;
+    if (!sel) return;
+    const prev = sel.value;
+    sel.innerHTML = "";
+    const add = (value, text) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = text;
+        sel.appendChild(opt);
+    };
+    add("__ALL__", "COMPARE ALL");
+    enabledStrategyNames().forEach(n => add(n, n));
+    add("__CUSTOM__", "Custom token…");
+    sel.value = [...sel.options].some(o => o.value === prev) ? prev : "__ALL__";
+    if (prev && sel.value !== prev) sel.dispatchEvent(new Event("change"));
+}
+
+// Apply one edit to a copy of the registry; invalid edits are reported and reverted
+function updateRegistry(mutate) {
+    const next = state.registry.map(e => ({ ...e }));
+    mutate(next);
+    try {
+        saveRegistry(normalizeRegistry(next));
+        return true;
+    } catch (err) {
+        setStatus(err.message, false);
+        renderRegistryEditor();
+        return false;
+    }
+}
+
+function renderRegistryEditor() {
+    const r = els.registry;
+    if (!r?.list) return;
+    const enabled = enabledStrategyNames().length;
+    r.summary.textContent = `${state.registry.length} (${enabled} enabled)`;
+    r.list.innerHTML = "";
+
+    const table = document.createElement("table");
+    table.className = "registry-table";
+    table.innerHTML = `<thead><tr><th>On</th><th>Name</th><th>Network</th><th>Address</th>${FEE_EDITOR_HEAD}<th></th></tr></thead>`;
+    const tbody = document.createElement("tbody");
+
+    state.registry.forEach((e, i) => {
         const tr = document.createElement("tr");
         tr.innerHTML = `
+            <td><input type="checkbox" data-field="enabled"${e.enabled ? " checked" : ""} aria-label="Enabled"></td>
+            <td><input type="text" data-field="name" value="${escapeHtml(e.name)}" aria-label="Name"></td>
+            <td>${networkSelectHtml(e.network)}</td>
+            <td><input type="text" class="addr-input" data-field="address" value="${escapeHtml(e.address)}" aria-label="Address"></td>
+            ${feeScheduleCellsHtml(e.feeSchedule, "data-field")}
+            <td class="registry-row-actions">
+                <button type="button" class="btn" data-act="up" title="Move up"${i === 0 ? " disabled" : ""}>↑</button>
+                <button type="button" class="btn" data-act="down" title="Move down"${i === state.registry.length - 1 ? " disabled" : ""}>↓</button>
+                <button type="button" class="btn" data-act="delete" title="Delete">✕</button>
+            </td>`;
+
+        tr.querySelectorAll("[data-field]").forEach(input => {
+            input.addEventListener("change", () => {
+                const field = input.getAttribute("data-field");
+                const value = field === "enabled" ? input.checked : input.value;
+                const ok = updateRegistry(list => {
+                    if (field.startsWith("fee.")) list[i].feeSchedule = { ...list[i].feeSchedule, [field.slice(4)]: value };
+                    else list[i][field] = value;
+                });
+                // pins are keyed by strategy name; carry them over on rename
+                if (ok && field === "name") {
+                    const pin = getPinnedPool(e.name);
+                    if (pin) { setPinnedPool(e.name, null); setPinnedPool(String(value).trim(), pin); }
+                    const launch = getLaunchOverride(e.name);
+                    if (launch != null) { setLaunchOverride(e.name, null); setLaunchOverride(String(value).trim(), launch); }
+                }
+            });
+        });
+        tr.querySelector('[data-act="up"]').addEventListener("click", () =>
+            updateRegistry(list => { [list[i - 1], list[i]] = [list[i], list[i - 1]]; }));
+        tr.querySelector('[data-act="down"]').addEventListener("click", () =>
+            updateRegistry(list => { [list[i], list[i + 1]] = [list[i + 1], list[i]]; }));
+        tr.querySelector('[data-act="delete"]').addEventListener("click", () => {
+            if (!confirm(`Remove ${e.name} from the registry?`)) return;
+            updateRegistry(list => { list.splice(i, 1); });
+        });
+        tbody.appendChild(tr);
+    });
+
+    // Blank row for a new entry
+    const addTr = document.createElement("tr");
+    addTr.className = "registry-add";
+    addTr.innerHTML = `
+        <td></td>
+        <td><input type="text" data-new="name" placeholder="NewStrategy" aria-label="New name"></td>
+        <td>${networkSelectHtml(DEFAULT_NETWORK, 'data-new="network"')}</td>
+        <td><input type="text" class="addr-input" data-new="address" placeholder="0x…" aria-label="New address"></td>
+        ${feeScheduleCellsHtml(DEFAULT_FEE_SCHEDULE, "data-new")}
+        <td class="registry-row-actions"><button type="button" class="btn" data-act="add">Add</button></td>`;
+    addTr.querySelector('[data-act="add"]').addEventListener("click", () => {
+        const entry = { feeSchedule: {} };
+        addTr.querySelectorAll("[data-new]").forEach(input => {
+            const field = input.getAttribute("data-new");
+            if (field.startsWith("fee.")) entry.feeSchedule[field.slice(4)] = input.value;
+            else entry[field] = input.value;
+        });
+        if (updateRegistry(list => { list.push(entry); })) setStatus(`Added ${entry.name.trim()}.`, false);
+    });
+    tbody.appendChild(addTr);
+
+    table.appendChild(tbody);
+    r.list.appendChild(table);
+}
+
+const FEE_EDITOR_HEAD = `<th title="Fee at launch">Start %</th><th title="Fee drop per interval">Decay %</th><th title="Interval length (1m, 30s, 1h)">Every</th><th title="Resting fee">Floor %</th><th title="Jump to a fee at a time after launch, e.g. 10m=50, 1h=20">Breakpoints</th>`;
+
+// Fee schedule inputs for one editor row (attr = "data-field" | "data-new")
+function feeScheduleCellsHtml(fs, attr) {
+    const num = (k, v, label) => `<td><input type="number" ${attr}="fee.${k}" min="0" max="100" step="0.1" value="${v}" aria-label="${label}"></td>`;
+    return num("startFee", fs.startFee, "Start fee %")
+        + num("decayPct", fs.decayPct, "Decay % per interval")
+        + `<td><input type="text" class="dur-input" ${attr}="fee.intervalSec" value="${durationLabel(fs.intervalSec)}" aria-label="Decay interval"></td>`
+        + num("floorFee", fs.floorFee, "Floor fee %")
+        + `<td><input type="text" class="bp-input" ${attr}="fee.breakpoints" value="${escapeHtml(formatBreakpoints(fs.breakpoints))}" placeholder="10m=50, 1h=20" aria-label="Breakpoints"></td>`;
+}
+
+// Known networks + the current one (registry imports may use other GeckoTerminal ids)
+function networkSelectHtml(current, attrs = 'data-field="network"') {
+    const ids = Object.keys(NETWORKS);
+    if (current && !ids.includes(current)) ids.push(current);
+    const opts = ids.map(id =>
+        `<option value="${escapeHtml(id)}"${id === current ? " selected" : ""}>${escapeHtml(NETWORKS[id]?.label || id)}</option>`).join("");
+    return `<select ${attrs} aria-label="Network">${opts}</select>`;
+}
+
+function exportRegistry() {
+    const blob = new Blob([JSON.stringify(state.registry, null, 2)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "strategies.json";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+async function importRegistry(file) {
+    try {
+        const list = normalizeRegistry(JSON.parse(await file.text()));
+        saveRegistry(list);
+        setStatus(`Imported ${list.length} strategies.`, false);
+    } catch (err) {
+        setStatus(`Import failed: ${err.message}`, false);
+    }
+}
+
+function initRegistryControls() {
+    state.registry = loadRegistry();
+    renderStrategyOptions();
+    renderRegistryEditor();
+    const r = els.registry;
+    if (!r?.list) return;
+    r.exportBtn.addEventListener("click", exportRegistry);
+    r.importBtn.addEventListener("click", () => r.importFile.click());
+    r.importFile.addEventListener("change", () => {
+        const file = r.importFile.files?.[0];
+        r.importFile.value = "";
+        if (file) importRegistry(file);
+    });
+    r.reset.addEventListener("click", () => {
+        if (!confirm("Replace the strategy list with the built-in defaults?")) return;
+        saveRegistry(normalizeRegistry(DEFAULT_REGISTRY));
+    });
+}
+
+// ==== Token search ====
+let searchAborter = null;
+
+// Search box -> provider.search -> result rows (Analyze once / add to COMPARE ALL)
+async function runTokenSearch(e) {
+    e?.preventDefault();
+    const s = els.search;
+    const query = s.query.value.trim();
+    if (!query) return;
+    if (searchAborter) searchAborter.abort();
+    const aborter = searchAborter = new AbortController();
+    s.status.textContent = "Searching…";
+    s.results.innerHTML = "";
+    try {
+        const results = await state.provider.search(query, { network: s.network.value || null, signal: aborter.signal });
+        if (aborter.signal.aborted) return;
+        renderSearchResults(results);
+    } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error(err);
+        s.status.textContent = `Search failed: ${describeLoadError(err)}`;
+    } finally {
+        if (searchAborter === aborter) searchAborter = null;
+    }
+}
+
+function renderSearchResults(results) {
+    const s = els.search;
+    state.searchResults = results;
+    s.status.textContent = results.length ? `${results.length} token${results.length === 1 ? "" : "s"}` : "No matches.";
+    s.results.innerHTML = "";
+    if (!results.length) return;
+
+    const table = document.createElement("table");
+    table.className = "search-table";
+    table.innerHTML = `<thead><tr><th>Token</th><th>Network</th><th>Pool</th><th>Liquidity</th><th></th></tr></thead>`;
+    const tbody = document.createElement("tbody");
+    results.forEach(r => {
+        const inRegistry = state.registry.find(e => e.network === r.network && normAddr(e.address) === normAddr(r.address));
+        const tr = document.createElement("tr");
+        tr.innerHTML = `
+            <td title="${escapeHtml(r.address)}"><strong>${escapeHtml(r.symbol || "?")}</strong> ${escapeHtml(r.name || "")}</td>
+            <td>${escapeHtml(NETWORKS[r.network]?.label || r.network)}</td>
+            <td title="${escapeHtml(r.poolAddress)}">${escapeHtml(r.poolName || shortAddr(r.poolAddress))} <small>${escapeHtml(r.dexName || "")}</small></td>
+            <td>${fmtUSD(r.reserveUSD)}</td>
+            <td class="registry-row-actions">
+                <button type="button" class="btn" data-act="analyze">Analyze</button>
+                <button type="button" class="btn" data-act="add"${inRegistry ? ` disabled title="Already in the registry as ${escapeHtml(inRegistry.name)}"` : ""}>Add to COMPARE</button>
+            </td>`;
+        tr.querySelector('[data-act="analyze"]').addEventListener("click", () => analyzeSearchResult(r));
+        tr.querySelector('[data-act="add"]').addEventListener("click", () => addSearchResultToRegistry(r));
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    s.results.appendChild(table);
+}
+
+// One-off analysis: load it as a Custom token (registry untouched)
+function analyzeSearchResult(r) {
+    if (!NETWORKS[r.network]) {
+        setStatus(`Network "${r.network}" isn't supported for custom tokens; add it to the registry instead.`, false);
+        return;
+    }
+    els.strategy.value = "__CUSTOM__";
+    els.customNetwork.value = r.network;
+    els.customAddress.value = r.address;
+    els.strategy.dispatchEvent(new Event("change"));
+    loadPrices();
+}
+
+// Registry entry named after the symbol (suffixed if taken), enabled for COMPARE ALL
+function addSearchResultToRegistry(r) {
+    const base = String(r.symbol || r.name || "Token").replace(/^_+/, "").trim() || "Token";
+    let name = base;
+    for (let i = 2; getStrategy(name); i++) name = `${base} (${i})`;
+    const entry = { name, network: r.network, address: r.address, feeSchedule: { ...DEFAULT_FEE_SCHEDULE }, enabled: true };
+    if (updateRegistry(list => { list.push(entry); })) {
+        setStatus(`Added ${name} to the registry (COMPARE ALL).`, false);
+        renderSearchResults(state.searchResults);
+    }
+}
+
+function initTokenSearch() {
+    const s = els.search;
+    if (!s?.form) return;
+    s.network.innerHTML = `<option value="">All networks</option>`;
+    Object.entries(NETWORKS).forEach(([id, net]) => {
+        const opt = document.createElement("option");
+        opt.value = id;
+        opt.textContent = net.label;
+        s.network.appendChild(opt);
+    });
+    s.form.addEventListener("submit", runTokenSearch);
+}
+
+// ==== Pinned pools (per strategy, localStorage) ====
+const PINNED_POOLS_STORAGE_KEY = "strategy-utils.pinnedPools";
+
+function getPinnedPools() {
+    try { return JSON.parse(localStorage.getItem(PINNED_POOLS_STORAGE_KEY) || "{}") || {}; } catch (_) { return {}; }
+}
+
+function getPinnedPool(nameKey) {
+    return getPinnedPools()[nameKey] || null;
+}
+
+// poolAddress = null -> back to automatic (most liquid)
+function setPinnedPool(nameKey, poolAddress) {
+    const pins = getPinnedPools();
+    if (poolAddress) pins[nameKey] = poolAddress; else delete pins[nameKey];
+    try { localStorage.setItem(PINNED_POOLS_STORAGE_KEY, JSON.stringify(pins)); } catch (_) { }
+}
+
+// Info bar pool list: every top pool with DEX, reserve, volume, creation, side + pin
+function renderPoolsPanel(ds) {
+    const wrap = els.ti.pools;
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const pools = ds?.pools || [];
+    if (!pools.length) { wrap.textContent = "—"; return; }
+
+    const pinned = getPinnedPool(ds.key);
+    const table = document.createElement("table");
+    table.className = "pools-table";
+    table.innerHTML = `<thead><tr><th>Pool</th><th>DEX</th><th>Reserve</th><th>24h Vol</th><th>Created</th><th>Side</th><th>Use</th></tr></thead>`;
+    const tbody = document.createElement("tbody");
+
+    pools.forEach(p => {
+        const isActive = normAddr(p.address) === normAddr(ds.chosenPool?.poolAddress);
+        const isPinned = pinned && normAddr(p.address) === normAddr(pinned);
+        const side = normAddr(p.quoteAddress) === normAddr(ds.address) ? "quote" : "base";
+        const tr = document.createElement("tr");
+        if (isActive) tr.className = "active";
+        tr.innerHTML = `
+          <td title="${escapeHtml(p.address)}">${escapeHtml(p.name || shortAddr(p.address))}</td>
+          <td>${escapeHtml(p.dexName || "—")}</td>
+          <td>${fmtUSD(p.reserveUSD)}</td>
+          <td>${fmtUSD(p.volume24hUSD)}</td>
+          <td>${p.createdAtISO ? new Date(p.createdAtISO).toLocaleString() : "—"}</td>
+          <td>${side}</td>
+        `;
+        const td = document.createElement("td");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn";
+        btn.textContent = isPinned ? "Unpin" : "Pin";
+        btn.title = isPinned ? "Back to the most liquid pool" : "Always use this pool for this strategy";
+        btn.addEventListener("click", () => {
+            setPinnedPool(ds.key, isPinned ? null : p.address);
+            renderPoolsPanel(ds);
+            setStatus(isPinned ? `${ds.key}: pool unpinned. Load prices to apply.` : `${ds.key}: pinned ${p.name || shortAddr(p.address)}. Load prices to apply.`);
+        });
+        td.appendChild(btn);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+}
+
+
+// ==== Launch overrides (per strategy, localStorage) ====
+const LAUNCH_OVERRIDES_STORAGE_KEY = "strategy-utils.launchOverrides";
+
+function getLaunchOverrides() {
+    try { return JSON.parse(localStorage.getItem(LAUNCH_OVERRIDES_STORAGE_KEY) || "{}") || {}; } catch (_) { return {}; }
+}
+
+function getLaunchOverride(nameKey) {
+    const ts = getLaunchOverrides()[nameKey];
+    return Number.isFinite(ts) ? ts : null;
+}
+
+// ts = null -> back to the earliest candidate
+function setLaunchOverride(nameKey, ts) {
+    const pins = getLaunchOverrides();
+    if (Number.isFinite(ts)) pins[nameKey] = ts; else delete pins[nameKey];
+    try { localStorage.setItem(LAUNCH_OVERRIDES_STORAGE_KEY, JSON.stringify(pins)); } catch (_) { }
+}
+
+// Launch only feeds the fee/breakeven math, so an override applies without refetching
+function onLaunchOverrideChanged(nameKey) {
+    const override = getLaunchOverride(nameKey);
+    liveTargets().filter(ds => ds.key === nameKey && ds.launch).forEach(ds => {
+        ds.launch = pickLaunch(ds.launch.candidates, override);
+        ds.launchTs = ds.launch.ts;
+    });
+
+    // aligned by launch: that strategy's window starts at its launch, so it has to be refetched
+    const aligned = state.datasets?.[nameKey];
+    if (aligned?.alignBase != null && state.compareLoad?.align === "launch") {
+        const sec = state.compareLoad.step.sec;
+        const base = Number.isFinite(aligned.launchTs) ? Math.floor(aligned.launchTs / sec) * sec : null;
+        if (base !== aligned.alignBase) {
+            if (aborter) setStatus(`${nameKey}: launch changed; load again to realign it.`, true);
+            else retryCompareStrategy(nameKey, { fresh: false, busyText: `Realigning ${nameKey} to its new launch…` });
+        }
+    }
+
+    const ds = activeDataset();
+    if (!ds) return;
+    state.launchTs = ds.launchTs ?? null;
+    renderInfoBarFromDataset(ds);
+    renderRows(ds.rows || []);
+    rebuildChartFromControls();
+    renderSimResults();
+}
+
+// Info bar launch candidates: pool creations + first non-empty candle + a custom time, each pinnable
+function renderLaunchPanel(ds) {
+    const wrap = els.ti.launchCandidates;
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const launch = ds?.launch;
+    if (!launch) { wrap.textContent = "—"; return; }
+
+    const override = getLaunchOverride(ds.key);
+    const table = document.createElement("table");
+    table.className = "pools-table";
+    table.innerHTML = `<thead><tr><th>Source</th><th>Time</th><th>Use</th></tr></thead>`;
+    const tbody = document.createElement("tbody");
+
+    const addRow = ({ label, time, active, pinned, title, onPin }) => {
+        const tr = document.createElement("tr");
+        if (active) tr.className = "active";
+        tr.innerHTML = `<td>${escapeHtml(label)}</td>`;
+        const tdTime = document.createElement("td");
+        if (typeof time === "string") tdTime.textContent = time; else tdTime.appendChild(time);
+        const td = document.createElement("td");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn";
+        btn.textContent = pinned ? "Unpin" : "Pin";
+        btn.title = pinned ? "Back to the earliest candidate" : title;
+        btn.addEventListener("click", () => {
+            const ts = pinned ? null : onPin();
+            if (!pinned && ts == null) return;
+            setLaunchOverride(ds.key, ts);
+            onLaunchOverrideChanged(ds.key);
+            setStatus(pinned ? `${ds.key}: launch unpinned.` : `${ds.key}: launch pinned to ${new Date(ts * 1000).toLocaleString()}.`);
+        });
+        td.appendChild(btn);
+        tr.append(tdTime, td);
+        tbody.appendChild(tr);
+    };
+
+    launch.candidates.forEach(c => addRow({
+        label: c.source,
+        time: new Date(c.ts * 1000).toLocaleString(),
+        active: c.ts === launch.ts,
+        pinned: override === c.ts,
+        title: "Always use this launch time for this strategy",
+        onPin: () => c.ts
+    }));
+    if (!launch.candidates.length) {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `<td colspan="3">No pool creation time or trade in the loaded range.</td>`;
+        tbody.appendChild(tr);
+    }
+
+    // custom time (also where a pinned time that isn't a candidate shows up)
+    const input = document.createElement("input");
+    input.type = "datetime-local";
+    input.setAttribute("aria-label", "Custom launch time");
+    if (override != null) input.value = dateToLocalInput(new Date(override * 1000));
+    const customPinned = override != null && !launch.candidates.some(c => c.ts === override);
+    addRow({
+        label: "custom",
+        time: input,
+        active: customPinned,
+        pinned: customPinned,
+        title: "Pin the time entered here",
+        onPin: () => {
+            const d = localInputToDate(input.value);
+            if (!d || isNaN(d)) { setStatus("Enter a launch time first."); return null; }
+            return Math.floor(d.getTime() / 1000);
+        }
+    });
+
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+}
+
+
+// Step 2: OHLCV for pool (active provider)
+async function fetchOHLCV({ network, poolAddress, timeframe, aggregate, limit, beforeTs, side, signal, includeEmpty }) {
+    return state.provider.ohlcv({ network, poolAddress, timeframe, aggregate, limit, beforeTs, side, includeEmpty, signal });
+}
+
+/**
+ * Page OHLCV backwards with before_timestamp until the range is covered.
+ * Stops when:
+ *   - the oldest candle reaches `fromTs`, or `want` candles are collected
+ *   - the oldest candle reaches `stopTs` (pool creation), or
+ *   - a page comes back short/empty (no more history)
+ * Returns candles deduped by ts, ascending.
+ */
+async function fetchOHLCVRange({ network, poolAddress, timeframe, aggregate, want, fromTs, beforeTs, stopTs, side, signal, includeEmpty, onPage }) {
+    const byTs = new Map();
+    const pages = Math.max(1, Math.ceil(want / OHLCV_PAGE_LIMIT));
+    let before = beforeTs;
+
+    for (let page = 1; ; page++) {
+        const limit = Math.min(OHLCV_PAGE_LIMIT, Math.max(1, want - byTs.size));
+        const list = await fetchOHLCV({
+            network, poolAddress, timeframe, aggregate, limit,
+            beforeTs: before, side, includeEmpty, signal
+        });
+
+        let oldest = Infinity;
+        for (const k of list) {
+            if (!byTs.has(k.ts)) byTs.set(k.ts, k);
+            if (k.ts < oldest) oldest = k.ts;
+        }
+        onPage?.({ page, pages: Math.max(page, pages), candles: byTs.size });
+
+        if (list.length < limit || !Number.isFinite(oldest)) break; // history exhausted
+        if (byTs.size >= want) break;
+        if (fromTs != null && oldest <= fromTs) break;
+        if (stopTs != null && oldest <= stopTs) break;
+        if (before != null && oldest >= before) break;   // no progress (defensive)
+        before = oldest;
+    }
+
+    return Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+}
+
+// Client-side resampling to any multiple of the fetched timeframe
+// (buckets = floor(ts / bucketSec) * bucketSec, i.e. epoch-aligned UTC)
+function resampleCandles(candles, bucketSec) {
+    const buckets = new Map();
+    for (const k of candles) {
+        const key = Math.floor(k.ts / bucketSec) * bucketSec;
+        const b = buckets.get(key);
+        if (!b) {
+            buckets.set(key, { ts: key, o: k.o, h: k.h, l: k.l, c: k.c, v: k.v, firstTs: k.ts, lastTs: k.ts, pools: k.pools });
+        } else {
+            b.h = Math.max(b.h, k.h);
+            b.l = Math.min(b.l, k.l);
+            // choose open of earliest, close of latest
+            if (k.ts < b.firstTs) { b.o = k.o; b.firstTs = k.ts; }
+            if (k.ts > b.lastTs) { b.c = k.c; b.lastTs = k.ts; }
+            b.v += k.v;
+            if (k.pools) b.pools = Array.from(new Set([...(b.pools || []), ...k.pools]));
+        }
+    }
+    return Array.from(buckets.values()).sort((a, b) => a.ts - b.ts);
+}
+
+function renderRows(rows) {
+    els.tbody.innerHTML = "";
+    const frag = document.createDocumentFragment();
+    let shown = 0;
+    rows.forEach((r, idx) => {
+        if (!tableFilterAccepts(r)) return; // row numbers keep their place in the full range
+        frag.appendChild(buildRowEl(r, idx));
+        shown++;
+    });
+    els.tbody.appendChild(frag);
+    renderTableFilterNote(shown, rows.length);
+
+    // <-- ensure visibility matches current checkboxes
+    applyColumnVisibility();
+}
+
+function buildRowEl(r, idx) {
+    const { supply, source } = supplyAt(state.supplyTimeline, r.ts); // tokens (may be null)
+
+    // Market cap at this timestamp (close * supply at that time)
+    const mcap = (supply != null && r?.c != null) ? r.c * supply : null;
+
+    // Trading fee + breakeven
+    const feePct = feePercentAt(state.feeSchedule, state.launchTs, r.ts);
+    const bMultiple = breakevenMultipleFromFee(feePct);
+    const bMC = (bMultiple != null && mcap != null) ? (bMultiple * mcap) : null;
+
+    // Round trip (buy fee + sell fee + price impact + gas)
+    const rtMultiple = roundTripBreakevenMultiple(feePct, { ...getRoundTripParams(), reserveUSD: state.poolReserveUSD });
+    const rtMC = (rtMultiple != null && mcap != null) ? (rtMultiple * mcap) : null;
+
+    const tr = document.createElement("tr");
+    if (r.forming) tr.className = "forming";
+    tr.innerHTML = `
       <td>${idx + 1}</td>
       <td data-col="timestamp">${new Date(r.ts * 1000).toLocaleString()}</td>
       <td data-col="unix">${r.ts}</td>
@@ -1338,16 +3400,27 @@ function renderRows(rows) {
       <td data-col="close">${fmt(r.c)}</td>
       <td data-col="volume">${fmt(r.v)}</td>
       <td data-col="mcap">${mcap == null ? "—" : fmtUSD(mcap)}</td>
+      <td data-col="supply">${supply == null ? "—" : fmtCompact(supply)}</td>
+      <td data-col="supply_src">${source ? escapeHtml(source) : "—"}</td>
       <td data-col="fee">${fmtPercent(feePct)}</td>
       <td data-col="breakeven">${fmtMultiple(bMultiple)}</td>
       <td data-col="breakeven_mc">${bMC == null ? "—" : fmtUSD(bMC)}</td>
+      <td data-col="rt_breakeven">${fmtMultiple(rtMultiple)}</td>
+      <td data-col="rt_breakeven_mc">${rtMC == null ? "—" : fmtUSD(rtMC)}</td>
+      <td data-col="pools">${poolsCellHtml(r)}</td>
     `;
-        frag.appendChild(tr);
-    });
-
-    els.tbody.appendChild(frag);
+    return tr;
+}
 
-    // <-- ensure visibility matches current checkboxes
+// Live mode: re-render rows from `fromIdx` on, keeping the rest (and the scroll position)
+function renderRowsTail(rows, fromIdx) {
+    if (state.tableFilter) return renderRows(rows); // rows no longer map 1:1 to <tr>s
+    const trs = els.tbody.children;
+    for (let i = Math.max(0, fromIdx); i < rows.length; i++) {
+        const tr = buildRowEl(rows[i], i);
+        if (trs[i]) els.tbody.replaceChild(tr, trs[i]);
+        else els.tbody.appendChild(tr);
+    }
     applyColumnVisibility();
 }
 
@@ -1379,110 +3452,232 @@ function initColumnPicker() {
 
 }
 
-async function loadPrices(e) {
+// ==== Range modes ====
+// start: Start + Rows · span: Start → End (rows derived) · now: latest N candles
+// last24h / last7d: window ending now · launch: launch → now
+const RANGE_PRESET_SEC = { last24h: 24 * 3600, last7d: 7 * 24 * 3600 };
+
+function getRangeMode() {
+    return els.rangeMode?.value || "start";
+}
+
+// Launch for the range: the selected token's, or the earliest among the COMPARE ALL strategies
+async function launchForRange({ signal, fresh = false } = {}) {
+    const targets = els.strategy?.value === "__ALL__"
+        ? enabledStrategyNames().map(k => ({ key: k, ...getStrategy(k) }))
+        : [getSelectedToken()].filter(Boolean);
+    if (!targets.length) return null;
+    const times = [];
+
+    // strategies already loaded know their launch candidates: no token request for those
+    const pending = targets.filter(t => {
+        const ds = fresh ? null : (state.datasets?.[t.key] || (state.singleDataset?.key === t.key ? state.singleDataset : null));
+        if (!ds?.launch || normAddr(ds.address) !== normAddr(t.address)) return true;
+        const ts = pickLaunch(ds.launch.candidates, getLaunchOverride(t.key)).ts;
+        if (Number.isFinite(ts)) times.push(ts);
+        return false;
+    });
+    if (pending.length) setStatus("Finding launch…", true);
+    await runWithConcurrency(pending, getCompareConcurrency(), async t => {
+        try {
+            const json = await fetchTokenWithTopPools(t.network, t.address, signal, { fresh, owner: t.key });
+            const ts = resolveLaunch(json, { override: getLaunchOverride(t.key) }).ts;
+            if (Number.isFinite(ts)) times.push(ts);
+        } catch (err) {
+            if (err.name === "AbortError") throw err;
+            console.error(err); // that strategy's own load reports the failure
+        }
+    });
+    return times.length ? Math.min(...times) : null;
+}
+
+/**
+ * Resolve the selected range mode into step-aligned { startUnix, endUnix, maxRows, capped }.
+ * Derived-row modes keep the newest MAX_ROWS rows when the window is longer (capped = true).
+ * Throws on an unusable range (End before Start, launch unknown).
+ */
+async function resolveRange(step, { signal, fresh = false } = {}) {
+    const mode = getRangeMode();
+    const nowSec = Math.floor(Date.now() / 1000);
+    const nowBucket = Math.floor(nowSec / step.sec) * step.sec; // the currently forming candle
+    const rowsN = Math.max(1, Math.min(MAX_ROWS, parseInt(els.rows.value, 10) || 100));
+    const inputSec = (el, fallbackMs) => Math.floor((localInputToDate(el.value) || new Date(fallbackMs)).getTime() / 1000);
+    const startFromInputs = async () => {
+        // At Launch is a single-token shortcut; COMPARE ALL has the "since launch" mode
+        const atLaunch = els.startAtLaunch?.checked && els.strategy?.value !== "__ALL__";
+        const launchTs = atLaunch ? await launchForRange({ signal, fresh }) : null;
+        return launchTs ?? inputSec(els.start, Date.now() - 3600 * 1000);
+    };
+
+    if (mode === "now") {
+        return { startUnix: nowBucket - (rowsN - 1) * step.sec, endUnix: nowBucket, maxRows: rowsN, capped: false };
+    }
+    if (mode === "start") {
+        // rows sit on step boundaries: first row = the bucket containing Start
+        const startUnix = Math.floor(await startFromInputs() / step.sec) * step.sec;
+        return { startUnix, endUnix: startUnix + (rowsN - 1) * step.sec, maxRows: rowsN, capped: false };
+    }
+
+    let startUnix, endUnix;
+    if (mode === "span") {
+        startUnix = await startFromInputs();
+        endUnix = inputSec(els.end, Date.now());
+    } else if (mode === "launch") {
+        startUnix = await launchForRange({ signal, fresh });
+        if (!Number.isFinite(startUnix)) throw new Error("Launch time unknown; pin one or pick another range.");
+        endUnix = nowSec;
+    } else {
+        endUnix = nowSec;
+        startUnix = nowSec - (RANGE_PRESET_SEC[mode] ?? 3600);
+    }
+    startUnix = Math.floor(startUnix / step.sec) * step.sec;
+    endUnix = Math.floor(endUnix / step.sec) * step.sec;
+    if (endUnix < startUnix) throw new Error("End is before Start.");
+
+    const rows = Math.floor((endUnix - startUnix) / step.sec) + 1;
+    if (rows <= MAX_ROWS) return { startUnix, endUnix, maxRows: rows, capped: false };
+    return { startUnix: endUnix - (MAX_ROWS - 1) * step.sec, endUnix, maxRows: MAX_ROWS, capped: true };
+}
+
+// Show/hide Start/End per mode; Rows only counts where the mode doesn't derive it
+function updateRangeControls() {
+    const mode = getRangeMode();
+    const startField = els.start.closest(".field");
+    if (startField) startField.hidden = !["start", "span"].includes(mode);
+    els.end.hidden = mode !== "span";
+    if (els.endLabel) els.endLabel.hidden = els.end.hidden;
+    els.rows.disabled = !["start", "now"].includes(mode);
+
+    const step = getSelectedStep();
+    let hint = "Over 1000 rows pages back in 1000-candle requests.";
+    if (mode === "launch") {
+        hint = "Rows from launch to now.";
+    } else if (step && els.rows.disabled) {
+        const spanSec = mode === "span"
+            ? ((localInputToDate(els.end.value) || new Date()) - (localInputToDate(els.start.value) || new Date())) / 1000
+            : RANGE_PRESET_SEC[mode];
+        const rows = Math.floor(spanSec / step.sec) + 1;
+        hint = rows < 1 ? "End is before Start." : `≈ ${Math.min(rows, MAX_ROWS)} rows${rows > MAX_ROWS ? ` (newest ${MAX_ROWS})` : ""}.`;
+    }
+    els.rangeHint.textContent = hint;
+}
+
+async function loadPrices(e, { fresh = false } = {}) {
     e?.preventDefault?.();
 
     if (aborter) { aborter.abort(); aborter = null; }
     aborter = new AbortController();
     const { signal } = aborter;
+    stopLive();
 
     try {
-        const network = FIXED_NETWORK;
-        const stepKey = els.step.value;
-        const step = STEP_MAP[stepKey];
-        const maxRows = Math.max(1, Math.min(1000, parseInt(els.rows.value, 10) || 100));
-
-        // global time range
-        const now = new Date();
-        let startUnix;
-        if (els.startAtLaunch?.checked) {
-            const singleAddr = getSelectedContract();
-            if (singleAddr) {
-                setStatus("Finding launch…", true);
-                const json = await fetchTokenWithTopPools(network, singleAddr, signal);
-                const launchTs = computeLaunchTsFromTokenJson(json);
-                startUnix = launchTs ?? Math.floor((localInputToDate(els.start.value) || new Date(now.getTime() - 3600 * 1000)).getTime() / 1000);
-            } else {
-                startUnix = Math.floor((localInputToDate(els.start.value) || new Date(now.getTime() - 3600 * 1000)).getTime() / 1000);
-            }
-        } else {
-            const start = localInputToDate(els.start.value) || new Date(now.getTime() - 60 * 60 * 1000);
-            startUnix = Math.floor(start.getTime() / 1000);
-        }
-        const endUnix = startUnix + (maxRows - 1) * step.sec;
+        const step = getSelectedStep();
+        if (!step) { setStatus("Invalid step: use whole minutes (e.g. 90) or 2h / 3d / 1w.", false); return; }
+
+        resetChartView();
+
+        // global time range (see resolveRange for the modes)
+        const { startUnix, endUnix, maxRows, capped } = await resolveRange(step, { signal, fresh });
+        const cappedNote = capped ? ` (newest ${MAX_ROWS} rows of the range)` : "";
+        state.liveStep = step;
+        const formingTs = Math.floor(Date.now() / 1000 / step.sec) * step.sec;
+        state.liveRange = { startUnix, endUnix, endsNow: endUnix >= formingTs };
+        state.singleDataset = null;
+        const multiPool = getMultiPoolMode();
 
         const key = (els.strategy?.value || "").trim();
 
         if (key === "__ALL__") {
             // === COMPARE ALL ===
-            setStatus("Loading all strategies…", true);
+            // Bounded parallel loads; tabs + chart lines appear as each dataset arrives
+            const keys = enabledStrategyNames();
+            if (!keys.length) { setStatus("No enabled strategies. Enable some under Strategies.", false); return; }
             state.datasets = {};
-            const keys = Object.keys(STRATEGIES);
-
-            for (const k of keys) {
-                setStatus(`Loading ${k}…`, true);
-                const ds = await loadOneToken({
-                    network,
-                    nameKey: k,
-                    address: STRATEGIES[k],
-                    step, maxRows, startUnix, endUnix, signal
-                });
-                if (!ds.error) state.datasets[k] = ds;
-            }
+            state.activeTableKey = null;
+            state.chart.series = {};
+            state.chart.seriesKeys = getMetricKeysOrDefault(); // metric keys (fallback to defaults)
 
-            const loadedKeys = Object.keys(state.datasets);
+            // Chart on a canonical grid: wall clock, or seconds since each strategy's launch
+            const align = els.compareAlign?.value === "launch" ? "launch" : "clock";
+            state.chart.timeGrid = align === "launch"
+                ? createTimeGrid(0, endUnix - startUnix, step.sec)
+                : createTimeGrid(startUnix, endUnix, step.sec);
+            state.chart.rows = state.chart.timeGrid.map(ts => ({ ts }));
+            renderStrategyCheckboxes([]);
+            buildTableTabs([]);
+
+            // paging: strategy key -> { page, pages } while it fetches more than one page (latest last)
+            const progress = { loaded: 0, failed: 0, paging: new Map() };
+            const showProgress = () => {
+                const [pk, p] = [...progress.paging].pop() || [];
+                const pageNote = p ? ` · ${pk} page ${p.page}/${p.pages}` : "";
+                setStatus(`${progress.loaded}/${keys.length} loaded, ${progress.failed} failed${pageNote}`, true);
+            };
+            showProgress();
+
+            // remembered so a failed strategy can be retried into the same grid
+            state.compareLoad = { keys, step, maxRows, startUnix, endUnix, multiPool, align };
+            state.failures = {};
+            renderFailures();
+
+            await runWithConcurrency(keys, getCompareConcurrency(), async k => {
+                const onPage = ({ page, pages }) => {
+                    progress.paging.delete(k);
+                    if (pages > 1) progress.paging.set(k, { page, pages });
+                    showProgress();
+                };
+                const ds = await loadCompareStrategy(k, { fresh, signal, onPage });
+                progress.paging.delete(k);
+                if (ds.error) {
+                    progress.failed++;
+                    state.failures[k] = ds.error;
+                    renderFailures();
+                } else {
+                    progress.loaded++;
+                    state.datasets[k] = ds;
+                    showCompareDataset(keys);
+                }
+                showProgress();
+            });
+
+            const loadedKeys = keys.filter(k => state.datasets[k]);
             if (!loadedKeys.length) {
                 setStatus("No data for any strategy.", false);
                 return;
             }
 
-            // Chart on a canonical grid
-            state.chart.timeGrid = createTimeGrid(startUnix, endUnix, step.sec);
-            state.chart.rows = state.chart.timeGrid.map(ts => ({ ts }));
-
-            // Tabs + pick first dataset
-            state.activeTableKey = loadedKeys[0];
-            buildTableTabs(loadedKeys);
-
-            const first = state.datasets[state.activeTableKey];
-
-            // IMPORTANT: set supply/launch BEFORE rendering table so MCAP shows
-            state.mcapSupply = first.supply ?? null;
-            state.launchTs = first.launchTs ?? null;
-            state.startFee = first.startFee ?? DEFAULT_START_FEE;
-
-            renderInfoBarFromDataset(first);
-            renderRows(first.rows || []);
-
-            // Chart overlays
-            state.chart.seriesKeys = getMetricKeysOrDefault(); // metric keys (fallback to defaults)
-            renderStrategyCheckboxes(loadedKeys);              // tokens toggles
-            const stratKeys = getCheckedStrategyKeys();
-            buildChartDataMulti(state.chart.seriesKeys, stratKeys);
-            drawChart();
-
-            setStatus(`Done. Loaded ${loadedKeys.length} tokens.`, false);
+            const failedNote = progress.failed ? `, ${progress.failed} failed` : "";
+            setStatus(`Done. Loaded ${loadedKeys.length} tokens${failedNote}${cappedNote}.`, false);
             return;
         }
 
         // === single token ===
-        const contract = getSelectedContract();
-        if (!contract) { setStatus("Please select a strategy.", false); return; }
+        const selected = getSelectedToken();
+        if (!selected) {
+            setStatus(els.strategy.value === "__CUSTOM__" ? "Enter a token address (0x + 40 hex)." : "Please select a strategy.", false);
+            return;
+        }
 
         state.datasets = {};
         state.activeTableKey = null;
+        state.failures = {};
+        state.compareLoad = null;
+        renderFailures();
 
         setStatus("Loading…", true);
         const ds = await loadOneToken({
-            network, nameKey: (els.strategy.value || "").trim(), address: contract,
-            step, maxRows, startUnix, endUnix, signal
+            network: selected.network, nameKey: selected.key, address: selected.address,
+            step, maxRows, startUnix, endUnix, signal, fresh, multiPool,
+            onPage: p => setStatus(pagingStatus("candles", p), true)
         });
         if (ds.error) { setStatus("No pool found for this token.", false); return; }
 
         // IMPORTANT: set supply/launch BEFORE rendering table so MCAP shows
-        state.mcapSupply = ds.supply ?? null;
+        state.singleDataset = ds;
+        state.supplyTimeline = ds.supplyTimeline || [];
         state.launchTs = ds.launchTs ?? null;
-        state.startFee = ds.startFee ?? DEFAULT_START_FEE;
+        state.feeSchedule = ds.feeSchedule ?? DEFAULT_FEE_SCHEDULE;
+        state.poolReserveUSD = datasetReserveUSD(ds);
 
         renderInfoBarFromDataset(ds);
         renderRows(ds.rows || []);
@@ -1493,22 +3688,716 @@ async function loadPrices(e) {
         state.chart.seriesKeys = getMetricKeysOrDefault();
         buildChartData(ds.rows || []);
         drawChart();
+        renderSimResults();
+        renderSupplyPanel();
 
         const tabsEl = document.getElementById("table-tabs");
         if (tabsEl) tabsEl.hidden = true;
         const cs = document.getElementById("chart-strategy-controls");
         if (cs) cs.hidden = true;
 
-        setStatus(`Done. ${ds.rows?.length || 0} rows shown.`, false);
+        setStatus(`Done. ${ds.rows?.length || 0} rows shown${ds.fromCache ? " (from cache)" : ""}${cappedNote}.`, false);
     } catch (err) {
         if (err.name === "AbortError") { setStatus("Stopped.", false); return; }
         console.error(err);
         setStatus(`Error: ${err.message}`, false);
     } finally {
         aborter = null;
+        renderFailures(); // re-enable retry buttons
+        renderCachePanel();
+        if (!signal.aborted) startLive();
+    }
+}
+
+
+// Run `worker` over `items` with at most `limit` in flight; rejects on the first
+// uncaught error (e.g. AbortError), the other lanes stop via the same signal.
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+function getCompareConcurrency() {
+    const n = parseInt(els.concurrency?.value, 10);
+    return Math.max(1, Math.min(COMPARE_MAX_CONCURRENCY, Number.isFinite(n) ? n : COMPARE_DEFAULT_CONCURRENCY));
+}
+
+// COMPARE ALL: load one strategy into the current compare context.
+// Never throws (except AbortError); failures come back as { key, error: reason }.
+async function loadCompareStrategy(k, { fresh = false, signal, onPage } = {}) {
+    const { step, maxRows, startUnix, endUnix, multiPool, align } = state.compareLoad;
+    const entry = getStrategy(k);
+    if (!entry) return { key: k, error: "Not in the registry" };
+    try {
+        const ds = await loadOneToken({
+            network: entry.network,
+            nameKey: k,
+            address: entry.address,
+            step, maxRows, startUnix, endUnix, signal, fresh, multiPool, onPage,
+            fromLaunch: align === "launch"
+        });
+        if (!ds.error && !ds.rows?.length) return { key: k, error: "No candles in range" };
+        return ds;
+    } catch (err) {
+        if (err.name === "AbortError") throw err;
+        console.error(err);
+        return { key: k, error: describeLoadError(err) };
+    }
+}
+
+function describeLoadError(err) {
+    if (err?.status === 429) return "HTTP 429 (rate limited)";
+    if (err?.status) return `HTTP ${err.status}`;
+    if (err instanceof SyntaxError) return "Bad JSON response";
+    return err?.message || String(err);
+}
+
+// Failures panel: one row per failed strategy with its reason + retry
+function renderFailures() {
+    const wrap = document.getElementById("failures");
+    if (!wrap) return;
+    const entries = Object.entries(state.failures || {});
+    wrap.innerHTML = "";
+    wrap.hidden = !entries.length;
+    if (!entries.length) return;
+
+    const title = document.createElement("span");
+    title.textContent = "Failed:";
+    wrap.appendChild(title);
+
+    entries.forEach(([k, reason]) => {
+        const item = document.createElement("span");
+        item.className = "failure";
+        item.innerHTML = `<strong>${escapeHtml(k)}</strong> ${escapeHtml(reason)}`;
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn";
+        btn.textContent = "Retry";
+        btn.disabled = !!aborter; // a load is running
+        btn.addEventListener("click", () => retryCompareStrategy(k));
+        item.appendChild(btn);
+        wrap.appendChild(item);
+    });
+}
+
+// Reload a single failed strategy into the existing time grid + chart
+// (also used to realign one strategy after its launch changed: fresh = false, own status text)
+async function retryCompareStrategy(k, { fresh = true, busyText = `Retrying ${k}…` } = {}) {
+    if (aborter || !state.compareLoad) return;
+    aborter = new AbortController();
+    const { signal } = aborter;
+    renderFailures();
+    setStatus(busyText, true);
+
+    try {
+        const ds = await loadCompareStrategy(k, { fresh, signal });
+        if (ds.error) {
+            state.failures[k] = ds.error;
+            setStatus(`${k} failed${fresh ? " again" : ""}: ${ds.error}`, false);
+        } else {
+            delete state.failures[k];
+            state.datasets[k] = ds;
+            showCompareDataset(state.compareLoad.keys);
+            if (state.activeTableKey === k) switchTableTab(k); // its table + info bar were showing the old rows
+            setStatus(`Loaded ${k}.`, false);
+        }
+    } catch (err) {
+        if (err.name === "AbortError") { setStatus("Stopped.", false); return; }
+        setStatus(`Error: ${err.message}`, false);
+    } finally {
+        aborter = null;
+        renderFailures();
+    }
+}
+
+// COMPARE ALL: refresh tabs, token toggles and chart after a dataset arrives.
+// `order` keeps tabs in registry order regardless of arrival order.
+function showCompareDataset(order) {
+    const loadedKeys = order.filter(k => state.datasets[k]);
+    buildTableTabs(loadedKeys);
+    renderStrategyCheckboxes(loadedKeys);
+
+    if (!state.activeTableKey) {
+        // first arrival: fill info bar + table (also rebuilds the chart)
+        switchTableTab(loadedKeys[0]);
+        return;
+    }
+    buildChartDataMulti(state.chart.seriesKeys, getCheckedStrategyKeys());
+    drawChart();
+    renderSimResults();
+}
+
+// ==== Supply timeline (historical Market Cap = close × supply at that time) ====
+// Per token (network:address) in localStorage: [{ ts, supply, source: "manual"|"CSV" }]
+const SUPPLY_STORAGE_KEY = "strategy-utils.supply";
+
+function supplyTokenKey(ds) {
+    return `${ds.network}:${normAddr(ds.address)}`;
+}
+
+function getSupplyPoints(tokenKey) {
+    try { return (JSON.parse(localStorage.getItem(SUPPLY_STORAGE_KEY) || "{}") || {})[tokenKey] || []; } catch (_) { return []; }
+}
+
+function setSupplyPoints(tokenKey, points) {
+    let all = {};
+    try { all = JSON.parse(localStorage.getItem(SUPPLY_STORAGE_KEY) || "{}") || {}; } catch (_) { }
+    if (points.length) all[tokenKey] = points; else delete all[tokenKey];
+    try { localStorage.setItem(SUPPLY_STORAGE_KEY, JSON.stringify(all)); } catch (_) { }
+}
+
+// Provider supply history when the provider has one (fixtures); missing -> null
+async function fetchSupplyHistory(network, address, signal) {
+    if (!state.provider.supplyHistory) return null;
+    try {
+        const points = await state.provider.supplyHistory(network, address, { signal });
+        return points?.length ? points : null;
+    } catch (err) {
+        if (err.name === "AbortError") throw err;
+        return null;
+    }
+}
+
+/**
+ * Timeline for a dataset, first source that has points:
+ *   1) the user's points (manual / CSV)   2) provider history
+ *   3) the snapshot from current token attributes (one point, flat)
+ */
+function buildSupplyTimeline(ds) {
+    const user = getSupplyPoints(supplyTokenKey(ds));
+    if (user.length) return user.slice().sort((a, b) => a.ts - b.ts);
+    if (ds.providerSupply?.length) {
+        return ds.providerSupply.map(p => ({ ts: p.ts, supply: p.supply, source: "provider" })).sort((a, b) => a.ts - b.ts);
+    }
+    const snap = ds.snapshotSupply;
+    return snap?.supply != null ? [{ ts: -Infinity, supply: snap.supply, source: `snapshot (${snap.basis})` }] : [];
+}
+
+// Supply in effect at ts: the latest point at or before ts (the first point before it)
+function supplyAt(timeline, ts) {
+    if (!timeline?.length) return { supply: null, source: null };
+    let lo = 0, hi = timeline.length - 1, idx = 0;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (timeline[mid].ts <= ts) { idx = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    return timeline[idx];
+}
+
+/**
+ * CSV "timestamp,supply" (header optional). Timestamps: unix seconds/ms or any
+ * Date-parsable string (ISO). Throws with the offending line.
+ */
+function parseSupplyCsv(text) {
+    const points = [];
+    String(text).split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith("#")) return;
+        const [tsRaw, supplyRaw] = trimmed.split(/[,;\t]/).map(x => x.trim().replace(/^"|"$/g, ""));
+        const supply = Number(String(supplyRaw ?? "").replace(/_/g, ""));
+        let ts = /^\d+(\.\d+)?$/.test(tsRaw) ? Number(tsRaw) : Date.parse(tsRaw) / 1000;
+        if (ts > 1e12) ts /= 1000; // milliseconds
+        if (!Number.isFinite(ts) || !Number.isFinite(supply) || supply <= 0) {
+            if (i === 0 && !points.length) return; // header
+            throw new Error(`line ${i + 1}: expected timestamp,supply`);
+        }
+        points.push({ ts: Math.floor(ts), supply, source: "CSV" });
+    });
+    if (!points.length) throw new Error("no rows");
+    return points;
+}
+
+// User points changed for the active token: rebuild every loaded dataset's timeline and re-render
+function onSupplyPointsChanged() {
+    liveTargets().forEach(ds => { ds.supplyTimeline = buildSupplyTimeline(ds); });
+    const ds = activeDataset();
+    if (ds) {
+        state.supplyTimeline = ds.supplyTimeline;
+        renderRows(ds.rows || []);
+        rebuildChartFromControls();
+    }
+    renderSupplyPanel();
+}
+
+function renderSupplyPanel() {
+    const sp = els.supply;
+    if (!sp?.points) return;
+    const ds = activeDataset();
+    sp.points.innerHTML = "";
+    if (!ds) { sp.summary.textContent = "load prices first"; return; }
+
+    const key = supplyTokenKey(ds);
+    const user = getSupplyPoints(key);
+    const timeline = ds.supplyTimeline || [];
+    const sources = [...new Set(timeline.map(p => p.source))].join(", ") || "none";
+    sp.summary.textContent = `${ds.key} · ${sources}${user.length ? ` · ${user.length} point${user.length === 1 ? "" : "s"}` : ""}`;
+
+    user.forEach((p, i) => {
+        const row = document.createElement("div");
+        row.className = "sim-leg";
+        row.innerHTML = `
+            <input type="datetime-local" data-k="ts" value="${dateToLocalInput(new Date(p.ts * 1000))}" aria-label="From">
+            <input type="number" data-k="supply" min="0" step="any" value="${p.supply}" aria-label="Supply">
+            <small>${escapeHtml(p.source)}</small>
+            <button type="button" class="btn" data-act="remove" title="Remove point">✕</button>`;
+        row.querySelectorAll("[data-k]").forEach(input => {
+            input.addEventListener("change", () => {
+                const next = user.map(x => ({ ...x }));
+                if (input.getAttribute("data-k") === "ts") {
+                    const d = localInputToDate(input.value);
+                    if (!d) return;
+                    next[i].ts = Math.floor(d.getTime() / 1000);
+                } else {
+                    const n = parseFloat(input.value);
+                    if (!(n > 0)) { setStatus("Supply must be a positive number.", false); return; }
+                    next[i].supply = n;
+                }
+                next[i].source = "manual";
+                setSupplyPoints(key, next.sort((a, b) => a.ts - b.ts));
+                onSupplyPointsChanged();
+            });
+        });
+        row.querySelector('[data-act="remove"]').addEventListener("click", () => {
+            setSupplyPoints(key, user.filter((_, j) => j !== i));
+            onSupplyPointsChanged();
+        });
+        sp.points.appendChild(row);
+    });
+}
+
+// New manual point: at the first loaded candle, starting from the supply in effect there
+function addSupplyPoint() {
+    const ds = activeDataset();
+    if (!ds) return;
+    const key = supplyTokenKey(ds);
+    const ts = ds.rows?.[0]?.ts ?? Math.floor(Date.now() / 1000);
+    const supply = supplyAt(ds.supplyTimeline, ts).supply ?? 1;
+    setSupplyPoints(key, [...getSupplyPoints(key), { ts, supply, source: "manual" }].sort((a, b) => a.ts - b.ts));
+    onSupplyPointsChanged();
+}
+
+async function importSupplyCsv(file) {
+    const ds = activeDataset();
+    if (!ds) return;
+    try {
+        const points = parseSupplyCsv(await file.text());
+        setSupplyPoints(supplyTokenKey(ds), points.sort((a, b) => a.ts - b.ts));
+        onSupplyPointsChanged();
+        setStatus(`Imported ${points.length} supply points for ${ds.key}.`, false);
+    } catch (err) {
+        setStatus(`Supply CSV: ${err.message}`, false);
+    }
+}
+
+function initSupplyControls() {
+    const sp = els.supply;
+    if (!sp?.points) return;
+    sp.add.addEventListener("click", addSupplyPoint);
+    sp.importBtn.addEventListener("click", () => sp.importFile.click());
+    sp.importFile.addEventListener("change", () => {
+        const file = sp.importFile.files?.[0];
+        sp.importFile.value = "";
+        if (file) importSupplyCsv(file);
+    });
+    sp.clear.addEventListener("click", () => {
+        const ds = activeDataset();
+        if (!ds) return;
+        setSupplyPoints(supplyTokenKey(ds), []);
+        onSupplyPointsChanged();
+    });
+    renderSupplyPanel();
+}
+
+// ==== PnL simulator (buy/sell legs replayed over the loaded candles) ====
+
+/**
+ * Replay legs [{ side: "buy"|"sell", ts, usd }] over ascending rows. A leg fills
+ * at the close of the row whose candle contains its time, paying the fee schedule's
+ * fee at that row. Buys spend `usd` (fee included); sells sell `usd` worth at the
+ * fill price (no usd = everything held). Cost basis is average cost; unrealized
+ * PnL is marked at the close, before any sell fee.
+ * -> { fills, tokens, cost, feesUSD, realized, unrealized, pnl[] (per row, null before the first fill) }
+ */
+function simulatePlan(rows, legs, feeSchedule, launchTs, stepSec = Infinity) {
+    const sorted = legs.filter(l => Number.isFinite(l.ts)).slice().sort((a, b) => a.ts - b.ts);
+    const fills = [];
+    const pnl = new Array(rows.length).fill(null);
+    let tokens = 0, cost = 0, feesUSD = 0, realized = 0, started = false, li = 0;
+
+    const fill = (leg, r) => {
+        if (r.c == null || !(r.c > 0)) { fills.push({ leg, skipped: "no price in that candle" }); return; }
+        const price = r.c;
+        const feePct = feePercentAt(feeSchedule, launchTs, r.ts);
+        const f = feePct / 100;
+        if (leg.side === "buy") {
+            if (!(leg.usd > 0)) { fills.push({ leg, skipped: "no size" }); return; }
+            const feeUSD = leg.usd * f;
+            const got = (leg.usd - feeUSD) / price;
+            tokens += got; cost += leg.usd; feesUSD += feeUSD;
+            fills.push({ leg, ts: r.ts, price, feePct, tokens: got, usd: leg.usd, feeUSD, pnl: null });
+        } else {
+            if (!(tokens > 0)) { fills.push({ leg, skipped: "nothing held" }); return; }
+            const qty = leg.usd > 0 ? Math.min(tokens, leg.usd / price) : tokens;
+            const gross = qty * price;
+            const feeUSD = gross * f;
+            const basis = cost * qty / tokens;
+            const legPnl = gross - feeUSD - basis;
+            realized += legPnl; cost -= basis; tokens -= qty; feesUSD += feeUSD;
+            fills.push({ leg, ts: r.ts, price, feePct, tokens: -qty, usd: gross - feeUSD, feeUSD, pnl: legPnl });
+        }
+        started = true;
+    };
+
+    while (li < sorted.length && (!rows.length || sorted[li].ts < rows[0].ts)) {
+        fills.push({ leg: sorted[li++], skipped: "before the loaded range" });
+    }
+    rows.forEach((r, i) => {
+        const nextTs = rows[i + 1]?.ts ?? r.ts + stepSec;
+        while (li < sorted.length && sorted[li].ts < nextTs) fill(sorted[li++], r);
+        if (started && r.c != null) pnl[i] = realized + tokens * r.c - cost;
+    });
+    while (li < sorted.length) fills.push({ leg: sorted[li++], skipped: "after the loaded range" });
+
+    const lastClose = [...rows].reverse().find(r => r.c != null)?.c ?? null;
+    const unrealized = tokens > 0 && lastClose != null ? tokens * lastClose - cost : 0;
+    return { fills, tokens, cost, feesUSD, realized, unrealized, pnl };
+}
+
+// The dataset the table shows (single mode or the active COMPARE ALL tab)
+function activeDataset() {
+    return state.singleDataset || state.datasets?.[state.activeTableKey] || null;
+}
+
+function simulateDataset(ds) {
+    return simulatePlan(ds.rows || [], state.simLegs, ds.feeSchedule ?? DEFAULT_FEE_SCHEDULE, ds.launchTs, state.liveStep?.sec);
+}
+
+function fmtSignedUSD(v) {
+    if (v == null || !isFinite(v)) return "—";
+    return `<span class="${v < 0 ? "neg" : "pos"}">${v < 0 ? "−" : "+"}${fmtUSD(Math.abs(v))}</span>`;
+}
+
+// Legs editor: side, time, USD (sell: blank = all)
+function renderSimLegs() {
+    const sim = els.sim;
+    if (!sim?.legs) return;
+    sim.legs.innerHTML = "";
+    state.simLegs.forEach((leg, i) => {
+        const row = document.createElement("div");
+        row.className = "sim-leg";
+        row.innerHTML = `
+            <select data-k="side" aria-label="Side">
+                <option value="buy"${leg.side === "buy" ? " selected" : ""}>Buy</option>
+                <option value="sell"${leg.side === "sell" ? " selected" : ""}>Sell</option>
+            </select>
+            <input type="datetime-local" data-k="ts" value="${Number.isFinite(leg.ts) ? dateToLocalInput(new Date(leg.ts * 1000)) : ""}" aria-label="Time">
+            <label>$ <input type="number" data-k="usd" min="0" step="any" value="${leg.usd ?? ""}" placeholder="${leg.side === "sell" ? "all" : ""}" aria-label="USD"></label>
+            <button type="button" class="btn" data-act="remove" title="Remove leg">✕</button>`;
+        row.querySelectorAll("[data-k]").forEach(input => {
+            input.addEventListener("change", () => {
+                const k = input.getAttribute("data-k");
+                if (k === "ts") {
+                    const d = localInputToDate(input.value);
+                    leg.ts = d ? Math.floor(d.getTime() / 1000) : NaN;
+                } else if (k === "usd") {
+                    const n = parseFloat(input.value);
+                    leg.usd = Number.isFinite(n) && n > 0 ? n : null;
+                } else {
+                    leg.side = input.value;
+                }
+                onSimLegsChanged();
+            });
+        });
+        row.querySelector('[data-act="remove"]').addEventListener("click", () => {
+            state.simLegs.splice(i, 1);
+            onSimLegsChanged();
+        });
+        sim.legs.appendChild(row);
+    });
+}
+
+function onSimLegsChanged() {
+    renderSimLegs();
+    renderSimResults();
+    rebuildChartFromControls();
+}
+
+// New leg at the first (buy) / last (sell) loaded candle
+function addSimLeg(side) {
+    const rows = activeDataset()?.rows || [];
+    const ts = side === "buy" ? rows[0]?.ts : rows[rows.length - 1]?.ts;
+    const usd = side === "buy" ? (getRoundTripParams().positionUSD || 1000) : null;
+    state.simLegs.push({ side, ts: ts ?? Math.floor(Date.now() / 1000), usd });
+    onSimLegsChanged();
+}
+
+// Fills for the active dataset; COMPARE ALL adds one summary row per strategy
+function renderSimResults() {
+    const sim = els.sim;
+    if (!sim?.results) return;
+    sim.results.innerHTML = "";
+    const ds = activeDataset();
+    if (!state.simLegs.length || !ds) {
+        sim.summary.textContent = state.simLegs.length ? `${state.simLegs.length} legs (load prices)` : "no legs";
+        return;
+    }
+
+    const res = simulateDataset(ds);
+    const total = res.realized + res.unrealized;
+    sim.summary.innerHTML = `${state.simLegs.length} legs · ${escapeHtml(ds.key)} ${fmtSignedUSD(total)}`;
+
+    const fillsTable = document.createElement("table");
+    fillsTable.className = "search-table sim-table";
+    fillsTable.innerHTML = `<thead><tr><th>${escapeHtml(ds.key)}</th><th>Candle</th><th>Price</th><th>Fee</th><th>Tokens</th><th>USD</th><th>Fee paid</th><th>PnL</th></tr></thead>`;
+    const tbody = document.createElement("tbody");
+    res.fills.forEach(f => {
+        const tr = document.createElement("tr");
+        const label = f.leg.side === "buy" ? "Buy" : "Sell";
+        tr.innerHTML = f.skipped
+            ? `<td>${label}</td><td colspan="7">skipped: ${f.skipped}</td>`
+            : `<td>${label}</td><td>${new Date(f.ts * 1000).toLocaleString()}</td><td>${fmt(f.price)}</td>
+               <td>${fmtPercent(f.feePct)}</td><td>${fmt(f.tokens, 4)}</td><td>${fmtUSD(f.usd)}</td>
+               <td>${fmtUSD(f.feeUSD)}</td><td>${f.pnl == null ? "—" : fmtSignedUSD(f.pnl)}</td>`;
+        tbody.appendChild(tr);
+    });
+    fillsTable.appendChild(tbody);
+    sim.results.appendChild(fillsTable);
+
+    const summaryRow = (name, r) => `<tr><td>${escapeHtml(name)}</td><td>${fmt(r.tokens, 4)}</td><td>${fmtUSD(r.cost)}</td>
+        <td>${fmtUSD(r.feesUSD)}</td><td>${fmtSignedUSD(r.realized)}</td><td>${fmtSignedUSD(r.unrealized)}</td>
+        <td>${fmtSignedUSD(r.realized + r.unrealized)}</td></tr>`;
+    const compare = state.datasets && Object.keys(state.datasets).length;
+    const entries = compare
+        ? Object.values(state.datasets).map(d => [d.key, d === ds ? res : simulateDataset(d)])
+        : [[ds.key, res]];
+    const sumTable = document.createElement("table");
+    sumTable.className = "search-table sim-table";
+    sumTable.innerHTML = `<thead><tr><th>${compare ? "Strategy" : "Position"}</th><th>Held</th><th>Cost basis</th><th>Fees paid</th><th>Realized</th><th>Unrealized</th><th>Total PnL</th></tr></thead>
+        <tbody>${entries.map(([k, r]) => summaryRow(k, r)).join("")}</tbody>`;
+    sim.results.appendChild(sumTable);
+}
+
+function initSimulator() {
+    const sim = els.sim;
+    if (!sim?.legs) return;
+    sim.addBuy.addEventListener("click", () => addSimLeg("buy"));
+    sim.addSell.addEventListener("click", () => addSimLeg("sell"));
+    sim.clear.addEventListener("click", () => { state.simLegs = []; onSimLegsChanged(); });
+    renderSimLegs();
+    renderSimResults();
+}
+
+// ==== Live mode (poll the latest candles, update/append rows in place) ====
+const LIVE = {
+    minPollSec: 60,      // poll at the step interval, clamped to [min, max]
+    maxPollSec: 300,
+    budgetFrac: 0.5,     // share of the API rate limit live polling may use
+    timer: null,
+    aborter: null,
+};
+
+// Datasets currently on screen (COMPARE ALL: all loaded; single: the one)
+function liveTargets() {
+    if (state.datasets && Object.keys(state.datasets).length) return Object.values(state.datasets);
+    return state.singleDataset ? [state.singleDataset] : [];
+}
+
+// Step interval, stretched so N requests per poll stay within budgetFrac of the limit
+function livePollSec(step, nRequests) {
+    let sec = Math.min(LIVE.maxPollSec, Math.max(LIVE.minPollSec, step.sec));
+    if (state.provider.queued) {
+        const perMin = API_RATE.limit * LIVE.budgetFrac;
+        sec = Math.max(sec, Math.ceil(60 * nRequests / perMin));
+    }
+    return sec;
+}
+
+// Why live polling can't follow the loaded range (null = it can)
+function liveBlockReason() {
+    if (state.compareLoad?.align === "launch") {
+        // each strategy's window is [launch, launch + span]: live only if every one reaches now
+        const stale = liveTargets().filter(ds => !liveWindowEndsNow(ds)).map(ds => ds.key);
+        return stale.length
+            ? `Live needs every since-launch window to reach now (${stale.length === 1 ? stale[0] : `${stale.length} strategies`} ended earlier).`
+            : null;
+    }
+    if (!state.liveRange?.endsNow) return "Live needs a range ending now.";
+    return null;
+}
+
+// Wall-clock end of a dataset's loaded window (aligned windows start at the strategy's launch)
+function liveWindowEnd(ds) {
+    const r = state.liveRange;
+    return ds.alignBase != null ? ds.alignBase + (r.endUnix - r.startUnix) : r.endUnix;
+}
+
+function liveWindowEndsNow(ds) {
+    const step = state.liveStep;
+    return !!state.liveRange && liveWindowEnd(ds) >= Math.floor(Date.now() / 1000 / step.sec) * step.sec;
+}
+
+// Wall-clock [from, to] a dataset's live candles must fall in (to = Infinity while the window follows now)
+function liveWindow(ds) {
+    const r = state.liveRange;
+    if (!r) return { from: -Infinity, to: Infinity };
+    if (ds.alignBase != null) {
+        return { from: ds.alignBase, to: liveWindowEndsNow(ds) ? Infinity : liveWindowEnd(ds) };
+    }
+    return { from: r.startUnix, to: r.endsNow ? Infinity : r.endUnix };
+}
+
+function startLive() {
+    stopLive();
+    if (!els.live?.checked || !state.liveStep) return;
+    const targets = liveTargets();
+    if (!targets.length) return;
+    const blocked = liveBlockReason();
+    if (blocked) {
+        els.live.checked = false;
+        setStatus(`${els.status.textContent} ${blocked}`, false);
+        return;
+    }
+    // one request per source pool (multi-pool datasets poll several, see fetchLatestCandles)
+    const requests = targets.reduce((a, ds) => a + (ds.sourcePools?.length || 1), 0);
+    const sec = livePollSec(state.liveStep, requests);
+    LIVE.timer = setInterval(livePoll, sec * 1000);
+    setStatus(`${els.status.textContent} Live: every ${sec}s.`, false);
+}
+
+function stopLive() {
+    if (LIVE.timer) { clearInterval(LIVE.timer); LIVE.timer = null; }
+    if (LIVE.aborter) { LIVE.aborter.abort(); LIVE.aborter = null; }
+    els.stop.disabled = !aborter;
+}
+
+// Candles from the dataset's last row up to now (resampled steps rebuilt; multi-pool merged)
+async function fetchLatestCandles(ds, step, signal) {
+    const rawSec = step.rawSec;
+    const lastTs = ds.rows.length ? ds.rows[ds.rows.length - 1].ts : Math.floor(Date.now() / 1000) - step.sec;
+    const span = Math.max(0, Date.now() / 1000 - lastTs) + step.sec;
+    const limit = Math.min(OHLCV_PAGE_LIMIT, Math.ceil(span / rawSec) + 1);
+
+    const perPool = [];
+    for (const src of (ds.sourcePools?.length ? ds.sourcePools : [ds.chosenPool])) {
+        const raw = await fetchOHLCV({
+            network: ds.network,
+            poolAddress: src.poolAddress,
+            timeframe: step.tf,
+            aggregate: step.agg,
+            limit,
+            side: src.side,
+            includeEmpty: true,
+            signal
+        });
+        perPool.push({ source: src, candles: raw.slice().sort((a, b) => a.ts - b.ts) });
+    }
+    const asc = perPool.length > 1 ? mergePoolCandles(perPool, ds.multiPool || "reserve") : perPool[0].candles;
+    return step.resample ? resampleCandles(asc, step.sec) : asc;
+}
+
+// Replace the last row when it's the same candle, append newer ones.
+// Returns { firstChanged, added } (firstChanged = rows.length when nothing changed).
+function mergeLiveCandles(ds, candles, step) {
+    const rows = ds.rows;
+    const formingTs = Math.floor(Date.now() / 1000 / step.sec) * step.sec;
+    const lastTs = rows.length ? rows[rows.length - 1].ts : -Infinity;
+    const win = liveWindow(ds);
+    let firstChanged = rows.length, added = 0;
+
+    for (const k of candles) {
+        if (k.ts < lastTs || k.ts < win.from || k.ts > win.to) continue;
+        const row = { ts: k.ts, o: k.o, h: k.h, l: k.l, c: k.c, v: k.v, pools: k.pools, forming: k.ts >= formingTs };
+        const tail = rows[rows.length - 1];
+        if (tail && tail.ts === k.ts) {
+            rows[rows.length - 1] = row;
+            firstChanged = Math.min(firstChanged, rows.length - 1);
+        } else if (!tail || k.ts > tail.ts) {
+            if (tail) tail.forming = false;
+            rows.push(row);
+            firstChanged = Math.min(firstChanged, rows.length - 2, rows.length - 1);
+            added++;
+        }
     }
+    return { firstChanged: Math.max(0, firstChanged), added };
 }
 
+async function livePoll() {
+    if (aborter || LIVE.aborter) return;                              // a load or the last poll is running
+    if (liveBlockReason()) { stopLive(); return; }                   // range no longer follows now
+    if (state.provider.queued && API_RATE.queue.length) return;      // let queued requests drain first
+    const step = state.liveStep;
+    LIVE.aborter = new AbortController();
+    const { signal } = LIVE.aborter;
+
+    try {
+        const changed = new Map(); // ds.key -> first changed row index
+        let added = 0;
+        for (const ds of liveTargets()) {
+            const candles = await fetchLatestCandles(ds, step, signal);
+            const res = mergeLiveCandles(ds, candles, step);
+            changed.set(ds.key, res.firstChanged);
+            added += res.added;
+        }
+        applyLiveUpdate(changed, step);
+        setStatus(`Live: updated ${new Date().toLocaleTimeString()}${added ? ` (+${added} candles)` : ""}.`, false);
+    } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error(err);
+        setStatus(`Live update failed: ${describeLoadError(err)}`, false);
+    } finally {
+        LIVE.aborter = null;
+    }
+}
+
+// Patch table tail + rebuild chart from the current toggles (hidden series stay hidden)
+function applyLiveUpdate(changed, step) {
+    const isAllMode = !!(state.datasets && Object.keys(state.datasets).length);
+    if (isAllMode) {
+        // extend the canonical grid to the newest candle (never past End unless the range follows now)
+        const grid = state.chart.timeGrid || [];
+        const cl = state.compareLoad;
+        const gridEnd = !cl ? Infinity
+            : cl.align === "launch" ? (liveTargets().every(liveWindowEndsNow) ? Infinity : cl.endUnix - cl.startUnix)
+                : state.liveRange?.endsNow ? Infinity : cl.endUnix;
+        const newest = Math.max(...liveTargets().map(ds => ds.rows.length ? ds.rows[ds.rows.length - 1].ts - gridBase(ds) : -Infinity));
+        const maxTs = Math.min(newest, gridEnd);
+        let t = grid.length ? grid[grid.length - 1] + step.sec : maxTs;
+        for (; t <= maxTs; t += step.sec) grid.push(t);
+        state.chart.timeGrid = grid;
+
+        const ds = state.datasets[state.activeTableKey];
+        if (ds) renderRowsTail(ds.rows, changed.get(ds.key) ?? ds.rows.length);
+        buildChartDataMulti(state.chart.seriesKeys, getCheckedStrategyKeys());
+    } else {
+        const ds = state.singleDataset;
+        renderRowsTail(ds.rows, changed.get(ds.key) ?? ds.rows.length);
+        buildChartData(ds.rows);
+    }
+    drawChart();
+    renderSimResults();
+}
+
+// Custom token: network list + show address/network only for "Custom token…"
+function initCustomTokenControls() {
+    if (!els.customToken) return;
+    els.customNetwork.innerHTML = "";
+    Object.entries(NETWORKS).forEach(([id, net]) => {
+        const opt = document.createElement("option");
+        opt.value = id;
+        opt.textContent = net.label;
+        els.customNetwork.appendChild(opt);
+    });
+    els.customNetwork.value = DEFAULT_NETWORK;
+    const sync = () => { els.customToken.hidden = els.strategy.value !== "__CUSTOM__"; };
+    els.strategy.addEventListener("change", sync);
+    sync();
+}
 
 // Wire up UI
 els.form.addEventListener("submit", loadPrices);
@@ -1519,7 +4408,14 @@ els.stop.addEventListener("click", () => { if (aborter) aborter.abort(); });
 
 (function init() {
     const now = new Date();
+    initRegistryControls();
+    initProviderControls();
+    initTokenSearch();
+    initCustomTokenControls();
     initColumnPicker();
+    [els.rtPosition, els.rtSellFee, els.rtGas].forEach(el => el?.addEventListener("input", refreshRoundTrip));
+    initSimulator();
+    initSupplyControls();
 
     // Default start = last 1h
     els.start.value = dateToLocalInput(new Date(now.getTime() - 60 * 60 * 1000));
@@ -1532,7 +4428,7 @@ els.stop.addEventListener("click", () => { if (aborter) aborter.abort(); });
     // Copy contract to clipboard
     if (els.ti.copyContract) {
         els.ti.copyContract.addEventListener("click", async () => {
-            const addr = getSelectedContract();
+            const addr = state.infoToken?.address;
             if (!addr) return;
             const ok = await copyTextToClipboard(addr);
             const oldTitle = els.ti.copyContract.title || "Copy address";
@@ -1544,13 +4440,49 @@ els.stop.addEventListener("click", () => { if (aborter) aborter.abort(); });
     // "At Launch" wiring
     if (els.startAtLaunch) els.startAtLaunch.addEventListener("change", prefillStartFromLaunch);
     if (els.strategy) els.strategy.addEventListener("change", prefillStartFromLaunch);
+    if (els.customAddress) els.customAddress.addEventListener("change", prefillStartFromLaunch);
+    if (els.customNetwork) els.customNetwork.addEventListener("change", prefillStartFromLaunch);
 
-    // Chart control handlers (metrics + tokens) + resize
+    // Range mode: which of Start / End / Rows count
+    [els.rangeMode, els.start, els.end, els.rows, els.step, els.stepCustom].forEach(el => {
+        el?.addEventListener("change", updateRangeControls);
+        el?.addEventListener("input", updateRangeControls);
+    });
+    els.end.value = dateToLocalInput(now);
+    updateRangeControls();
+
+    // Chart control handlers (metrics + tokens) + resize, zoom / pan / brush
     wireChartControlHandlers();
+    initChartInteractions();
+
+    // Custom step: minutes input only when "Custom…" is selected
+    if (els.stepCustom) {
+        const syncCustom = () => { els.stepCustom.hidden = els.step.value !== "custom"; };
+        els.step.addEventListener("change", syncCustom);
+        syncCustom();
+    }
+
+    // Live toggle: start/stop polling for whatever is loaded
+    if (els.live) els.live.addEventListener("change", () => (els.live.checked ? startLive() : stopLive()));
+
+    // Cache panel: force refresh reloads the current selection without the cache
+    if (els.cache.refresh) els.cache.refresh.addEventListener("click", () => loadPrices(null, { fresh: true }));
+    if (els.cache.clearAll) {
+        els.cache.clearAll.addEventListener("click", async () => {
+            await cacheClear();
+            renderCachePanel();
+        });
+    }
+    renderCachePanel();
 
     // Submit/Stop
     els.form.addEventListener("submit", loadPrices);
-    els.stop.addEventListener("click", () => { if (aborter) aborter.abort(); });
+    els.stop.addEventListener("click", () => {
+        if (aborter) aborter.abort();
+        // Stop means stop: live polling too
+        stopLive();
+        if (els.live) els.live.checked = false;
+    });
 })();
 
 